@@ -0,0 +1,183 @@
+// Hostile CMS payloads: every value a CMS editor (or an attacker with CMS access)
+// can put into a title, body, link or image must come out as inert text.
+
+const HOSTILE_TEXT = [
+  '"><img src=x onerror=alert(1)>',
+  "'><img src=x onerror=alert(1)>",
+  '<svg onload=alert(1)>',
+  '<script>alert(1)</script>',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '</textarea><a href="javascript:alert(1)">x</a>',
+  '<mark onclick=alert(1)>cafe</mark>',
+  '&lt;img src=x onerror=alert(1)&gt;',
+  '{{title}} ${alert(1)} <!-- cafe -->',
+];
+
+const HOSTILE_URLS = [
+  'javascript:alert(1)',
+  'JaVaScRiPt:alert(1)',
+  ' JaVaScRiPt:alert(1)',
+  'java\tscript:alert(1)',
+  'java\nscript:alert(1)',
+  '\u0001javascript:alert(1)',
+  '\u0000 javascript:alert(1)',
+  'data:text/html,<script>alert(1)</script>',
+  'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+  'vbscript:msgbox(1)',
+  'VBScript:msgbox(1)',
+];
+
+// Entity-encoded schemes are not schemes to sanitizeUrl; they must stay encoded once
+// escaped, so the browser never decodes them into javascript:
+const ENCODED_URLS = [
+  '&#106;avascript:alert(1)',
+  '&#x6A;avascript:alert(1)',
+  'javascript&colon;alert(1)',
+  'jav&#x09;ascript:alert(1)',
+  '&#0000106&#0000097&#0000118&#0000097&#0000115&#0000099&#0000114&#0000105&#0000112&#0000116&#0000058alert(1)',
+];
+
+const SAFE_URLS = [
+  'https://example.com/post?a=1&b=2',
+  'http://example.com/',
+  '/blog/post',
+  'post.html',
+  '#section',
+  'mailto:hello@example.com',
+  'tel:+15550100',
+];
+
+const UNSAFE_PROTOCOLS = ['javascript:', 'vbscript:', 'data:'];
+
+function parseHtml(html) {
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = html;
+  return wrapper;
+}
+
+// No executable element, no event handler and no script-bearing URL anywhere below `root`
+function assertInert(root, label) {
+  root.querySelectorAll('*').forEach(el => {
+    assert(!['SCRIPT', 'IFRAME', 'OBJECT', 'EMBED', 'SVG'].includes(el.tagName.toUpperCase()), `${label}: <${el.tagName.toLowerCase()}> was rendered`);
+    [...el.attributes].forEach(attr => {
+      assert(!/^on/i.test(attr.name), `${label}: ${attr.name} handler on <${el.tagName.toLowerCase()}>`);
+    });
+    ['href', 'src'].forEach(name => {
+      if (!el.hasAttribute(name)) return;
+      const url = new URL(el.getAttribute(name), window.location.href);
+      assert(!UNSAFE_PROTOCOLS.includes(url.protocol), `${label}: ${name}="${el.getAttribute(name)}"`);
+    });
+  });
+}
+
+test('escapeHtml leaves no markup in text or attributes', () => {
+  HOSTILE_TEXT.forEach(payload => {
+    const escaped = escapeHtml(payload);
+    assert(!/[<>"']/.test(escaped), `unescaped character in ${escaped}`);
+    const root = parseHtml(`<span title="${escaped}">${escaped}</span>`);
+    assertEqual(root.children.length, 1, `element count for ${payload}`);
+    assertEqual(root.firstElementChild.textContent, payload, 'text round trip');
+    assertEqual(root.firstElementChild.getAttribute('title'), payload, 'attribute round trip');
+    assertInert(root, payload);
+  });
+});
+
+test('sanitizeUrl refuses script and data schemes, however they are written', () => {
+  HOSTILE_URLS.forEach(url => {
+    assertEqual(sanitizeUrl(url), '#', `sanitizeUrl(${JSON.stringify(url)})`);
+    assertEqual(sanitizeUrl(url, { fallback: '' }), '', 'custom fallback');
+  });
+  assertEqual(sanitizeUrl('data:text/html,x', { allowDataImages: true }), '#', 'data:text/html is not an image');
+  assert(sanitizeUrl('data:image/png;base64,iVBORw0KGgo=', { allowDataImages: true }).startsWith('data:image/png'), 'data images pass when allowed');
+  assertEqual(sanitizeUrl('data:image/png;base64,iVBORw0KGgo='), '#', 'data images need allowDataImages');
+});
+
+test('sanitizeUrl keeps web, mail and relative links', () => {
+  SAFE_URLS.forEach(url => assertEqual(sanitizeUrl(url), url, `sanitizeUrl(${JSON.stringify(url)})`));
+});
+
+test('entity-encoded schemes stay inert once escaped into an href', () => {
+  ENCODED_URLS.forEach(url => {
+    const root = parseHtml(`<a href="${escapeHtml(sanitizeUrl(url))}">x</a>`);
+    assertEqual(root.querySelector('a').getAttribute('href'), sanitizeUrl(url), 'href is not decoded');
+    assertInert(root, url);
+  });
+});
+
+test('highlightKeywords escapes before marking', () => {
+  HOSTILE_TEXT.forEach(payload => {
+    ['cafe', 'img', 'alert', 'onerror', 'mark', 'script', 'lt'].forEach(query => {
+      const root = parseHtml(highlightKeywords(payload, query));
+      assertEqual(root.textContent, payload, `text of ${payload} highlighted for ${query}`);
+      root.querySelectorAll('*').forEach(el => {
+        assertEqual(el.tagName, 'MARK', `element in ${payload} highlighted for ${query}`);
+        assertEqual(el.attributes.length, 0, 'attributes on <mark>');
+      });
+    });
+  });
+});
+
+test('renderResultsFast renders hostile items as text', () => {
+  const urls = [...HOSTILE_URLS, ...ENCODED_URLS];
+  const items = HOSTILE_TEXT.flatMap((payload, i) => [
+    {
+      _type: 'page',
+      name: payload,
+      publishedPath: urls[i % urls.length],
+      body: `${payload} a body long enough to be used as the snippet`,
+      featuredImage: { url: urls[(i + 1) % urls.length], alt: payload },
+    },
+    {
+      _type: 'cms',
+      title: payload,
+      detailUrl: urls[(i + 2) % urls.length],
+      description: `<p>${payload}</p> a description long enough for the snippet`,
+      images: [{ url: HOSTILE_URLS[i % HOSTILE_URLS.length], alt: payload }],
+    },
+  ]);
+
+  ['List', 'Grid'].forEach(displayMode => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    try {
+      renderResultsFast(items, 'Results', displayMode, items.length, 3, 'None', container, 1, false, {}, [], 'cafe alert');
+      assertEqual(container.querySelectorAll('.search-result-item').length, items.length, `${displayMode} card count`);
+      assertInert(container, displayMode);
+      const titles = [...container.querySelectorAll('.search-result-title')].map(el => el.textContent.trim());
+      HOSTILE_TEXT.forEach(payload => assert(titles.includes(payload), `${displayMode} title shown as text: ${payload}`));
+    } finally {
+      cleanupResults(container);
+      container.remove();
+    }
+  });
+});
+
+test('card templates sanitize every URL attribute and refuse script-bearing ones', () => {
+  const template = document.createElement('template');
+  template.innerHTML = `
+    <article onclick="{{title}}" style="color: {{title}}">
+      <a href="{{url}}" data-label="{{title}}">{{title}}</a>
+      <form><button formaction="{{url}}">Go</button></form>
+      <img src="{{image}}" srcset="{{image}} 1x, {{url}} 2x, /fine.png 3x" alt="{{title}}">
+      <iframe srcdoc="{{title}}"></iframe>
+      <svg><use href="{{url}}" xlink:href="{{url}}"></use></svg>
+    </article>`;
+
+  HOSTILE_URLS.forEach((url, i) => {
+    const title = HOSTILE_TEXT[i % HOSTILE_TEXT.length];
+    const card = { item: {}, position: 1, title, url, snippet: '', content: '', image: { url } };
+    const el = renderTemplateCard(template, card, 'cafe', 0);
+
+    [el, ...el.querySelectorAll('*')].forEach(node => {
+      [...node.attributes].forEach(attr => {
+        assert(!/^(on|srcdoc$|style$)/i.test(attr.name), `${url}: templated ${attr.name} kept`);
+        if (['href', 'xlink:href', 'src', 'formaction'].includes(attr.name)) {
+          assert(attr.value === '' || attr.value === '#', `${url}: ${attr.name}="${attr.value}"`);
+        }
+      });
+    });
+    assertEqual(el.querySelector('img').getAttribute('srcset'), '/fine.png 3x', `${url}: srcset`);
+    assertEqual(el.querySelector('a').getAttribute('data-label'), title, 'plain attributes keep the text');
+    assertEqual(el.querySelector('a').textContent, title, 'placeholder text is escaped');
+  });
+});
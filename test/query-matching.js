@@ -0,0 +1,60 @@
+// Query syntax, and folding and highlighting across scripts. Clauses match whole
+// words; scripts written without spaces match inside words; Hangul must compare whole
+// syllables, never their jamo.
+
+function markedText(text, query) {
+  const root = document.createElement('div');
+  root.innerHTML = highlightKeywords(text, query);
+  return [...root.querySelectorAll('mark')].map(mark => mark.textContent);
+}
+
+test('accents and case fold away', () => {
+  assertEqual(markedText('Visit our Café today', 'cafe').join('|'), 'Café');
+  assertEqual(markedText('Die Straße', 'STRASSE').join('|'), 'Straße');
+});
+
+test('CJK matches inside a run, and by bigram', () => {
+  assertEqual(markedText('東京都の天気', '東京').join('|'), '東京');
+  assertEqual(markedText('東京タワーは東京にあります', '東京タワー').join('|'), '東京タワー|東京');
+});
+
+test('Thai matches inside a run', () => {
+  assertEqual(markedText('ภาษาไทยง่าย', 'ไทย').join('|'), 'ไทย');
+});
+
+test('Hangul keeps its syllables whole', () => {
+  assertEqual(foldSearchText('한국어'), '한국어');
+  assertEqual(foldWithOffsets('한국어').folded, '한국어');
+  assertEqual(markedText('나는 안녕하세요 학교', '한국어').length, 0, 'unrelated syllables sharing jamo');
+  assertEqual(markedText('한국어를 배우는 학교', '한국어').join('|'), '한국어');
+});
+
+const clauseSummary = clause => `${clause.type}:${clause.field ? clause.field + '=' : ''}${clause.text}`;
+
+test('parseSearchQuery splits OR groups, phrases, exclusions and field filters', () => {
+  const parsed = parseSearchQuery('cat OR dog "exact  phrase" -java category:news "solo" foo:bar', ['category', 'name']);
+  assertEqual(JSON.stringify(parsed.groups.map(group => group.map(clauseSummary))),
+    JSON.stringify([['term:cat', 'term:dog'], ['phrase:exact phrase'], ['field:category=news'], ['term:solo'], ['term:foo:bar']]));
+  assertEqual(parsed.exclusions.map(clauseSummary).join('|'), 'term:java');
+  assert(parsed.hasClientConstraints, 'phrases, fields and exclusions are checked on the client');
+  assert(!parseSearchQuery('plain words').hasClientConstraints, 'plain terms are left to the backend');
+});
+
+test('getBackendQueries sends one query per OR alternative', () => {
+  assertEqual(getBackendQueries(parseSearchQuery('cat OR dog food')).join('|'), 'cat food|dog food');
+  assertEqual(getBackendQueries(parseSearchQuery('a OR b OR c d OR e f OR g OR h OR i')).length, MAX_BACKEND_QUERIES);
+  assertEqual(getBackendQueries(parseSearchQuery('"coffee shop" -tea')).join('|'), 'coffee shop');
+  assertEqual(getBackendQueries(parseSearchQuery('name:widget', ['name'])).join('|'), 'widget', 'field filters alone are sent');
+  assertEqual(getBackendQueries(parseSearchQuery('-tea')).length, 0, 'nothing to search for');
+});
+
+test('matchesParsedQuery matches whole words only', () => {
+  const matches = (query, item) => matchesParsedQuery(item, parseSearchQuery(query, ['category']), ['category']);
+  assert(!matches('tips -java', { name: 'Java tips' }), 'exclusion drops the word');
+  assert(matches('tips -java', { name: 'JavaScript tips' }), 'exclusion is not a prefix');
+  assert(matches('category:news', { name: 'Post', category: 'News' }), 'field value matches');
+  assert(!matches('category:news', { name: 'Post', category: 'Newsletter' }), 'field value is not a prefix');
+  assert(matches('"coffee shop"', { name: 'The Coffee  Shop' }), 'phrase across whitespace');
+  assert(!matches('"coffee shop"', { name: 'coffee shops' }), 'phrase ends on a word boundary');
+  assert(!matches('天気 -東京', { name: '東京都の天気' }), 'scripts without spaces match inside words');
+});
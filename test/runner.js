@@ -0,0 +1,52 @@
+// Minimal in-page test runner. Test files call test(name, fn); once the page has
+// loaded every test runs, and the outcome is listed on the page, logged to the
+// console and left on window.testResults for headless runs.
+(function () {
+  const tests = [];
+
+  function test(name, fn) {
+    tests.push({ name, fn });
+  }
+
+  function assert(condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+  }
+
+  function assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(`${message || 'Values differ'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  }
+
+  async function runTests() {
+    const results = [];
+    for (const { name, fn } of tests) {
+      try {
+        await fn();
+        results.push({ name, passed: true });
+      } catch (error) {
+        results.push({ name, passed: false, error: error.message });
+      }
+    }
+
+    const list = document.getElementById('test-results');
+    results.forEach(({ name, passed, error }) => {
+      if (list) {
+        const row = document.createElement('li');
+        row.textContent = passed ? `✅ ${name}` : `❌ ${name}: ${error}`;
+        list.appendChild(row);
+      }
+      (passed ? console.log : console.error)(passed ? `✅ ${name}` : `❌ ${name}: ${error}`);
+    });
+    const failed = results.filter(result => !result.passed).length;
+    console.log(`${results.length - failed} passed, ${failed} failed`);
+    window.testResults = results;
+    return results;
+  }
+
+  window.test = test;
+  window.assert = assert;
+  window.assertEqual = assertEqual;
+  window.runTests = runTests;
+  window.addEventListener('load', runTests);
+})();
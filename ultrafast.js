@@ -1,39 +1,215 @@
-// Enhanced cache with instant lookup
+// Enhanced cache with instant lookup. The in-memory Map is the source for lookups
+// (kept in least-recently-used order) and is mirrored to IndexedDB so results survive
+// navigation; a BroadcastChannel keeps the memory copies of open tabs in step.
 const searchCache = new Map();
-const CACHE_DURATION = 15 * 60 * 1000; // 15 minutes
+const CACHE_DURATION = 15 * 60 * 1000; // 15 minutes fresh
+const STALE_CACHE_DURATION = 24 * 60 * 60 * 1000; // served stale, then revalidated, for a day
 const MAX_CACHE_SIZE = 200;
+const CACHE_DB_NAME = 'ultrafast-search';
+const CACHE_STORE_NAME = 'results';
+const CONTENT_VERSION_KEY = 'ufs-content-version';
 
-// Instant cache lookup
-function getCachedResults(query, selectedOption) {
-  const cacheKey = `${query.toLowerCase()}_${selectedOption}`;
-  const cached = searchCache.get(cacheKey);
-  
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    console.log('⚡ Instant cache hit for:', query);
-    return cached.results;
+const cacheChannel = typeof BroadcastChannel !== 'undefined'
+  ? new BroadcastChannel('ultrafast-search-cache')
+  : null;
+let cacheDbPromise = null;
+
+// Everything that changes what the backend returns for a query goes into the key
+// `vocabulary` is the loaded synonym map's version (see createSearchVocabulary); null
+// until it has loaded, so nothing is cached under a scope that ignores synonyms
+function createCacheScope({ siteName, selectedOption, collections = [], searchFields = [], displayFields = [], vocabulary = null }) {
+  return JSON.stringify([siteName, selectedOption, collections, searchFields, displayFields, vocabulary]);
+}
+
+function getCacheKey(query, cacheScope, batchIndex) {
+  return `${cacheScope}|${query.trim().toLowerCase().replace(/\s+/g, ' ')}|${batchIndex}`;
+}
+
+function getCacheSite(cacheScope) {
+  try {
+    return JSON.parse(cacheScope)[0];
+  } catch (e) {
+    return '';
   }
-  
-  return null;
 }
 
-function setCachedResults(query, selectedOption, results) {
-  const cacheKey = `${query.toLowerCase()}_${selectedOption}`;
-  
-  if (searchCache.size >= MAX_CACHE_SIZE) {
-    const firstKey = searchCache.keys().next().value;
-    searchCache.delete(firstKey);
+function openCacheDb() {
+  if (cacheDbPromise) return cacheDbPromise;
+
+  cacheDbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    try {
+      const request = indexedDB.open(CACHE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(CACHE_STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Search cache persistence unavailable:', request.error);
+        resolve(null);
+      };
+    } catch (e) {
+      console.warn('Search cache persistence unavailable:', e);
+      resolve(null);
+    }
+  });
+  return cacheDbPromise;
+}
+
+// Run `callback(store)` in a transaction; resolves with the request result it returns, if any
+async function withCacheStore(mode, callback) {
+  const db = await openCacheDb();
+  if (!db) return null;
+
+  return new Promise((resolve) => {
+    try {
+      const transaction = db.transaction(CACHE_STORE_NAME, mode);
+      const request = callback(transaction.objectStore(CACHE_STORE_NAME));
+      transaction.oncomplete = () => resolve(request ? request.result : null);
+      transaction.onerror = () => resolve(null);
+      transaction.onabort = () => resolve(null);
+    } catch (e) {
+      resolve(null);
+    }
+  });
+}
+
+// Insert or refresh an entry in memory, evicting the least recently used ones
+function rememberCacheEntry(entry) {
+  searchCache.delete(entry.key);
+  searchCache.set(entry.key, entry);
+
+  while (searchCache.size > MAX_CACHE_SIZE) {
+    const oldestKey = searchCache.keys().next().value;
+    searchCache.delete(oldestKey);
+    withCacheStore('readwrite', store => { store.delete(oldestKey); });
   }
-  
-  searchCache.set(cacheKey, {
-    results,
-    timestamp: Date.now()
+}
+
+function forgetSiteEntries(site) {
+  for (const [key, entry] of searchCache) {
+    if (!site || entry.site === site) searchCache.delete(key);
+  }
+}
+
+// Load persisted entries into memory; expired ones are dropped from storage
+async function hydrateSearchCache() {
+  const entries = await withCacheStore('readonly', store => store.getAll());
+  if (!Array.isArray(entries)) return;
+
+  const now = Date.now();
+  const expiredKeys = [];
+  entries
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach(entry => {
+      if (now - entry.timestamp >= STALE_CACHE_DURATION) {
+        expiredKeys.push(entry.key);
+      } else if (!searchCache.has(entry.key)) {
+        rememberCacheEntry(entry);
+      }
+    });
+
+  if (expiredKeys.length > 0) {
+    withCacheStore('readwrite', store => { expiredKeys.forEach(key => store.delete(key)); });
+  }
+}
+
+// Invalidation hook for republished content: drops every cached result for `site`
+// (or for all sites) in this tab, in storage and in every other open tab.
+async function invalidateSearchCache(site = '') {
+  forgetSiteEntries(site);
+  if (cacheChannel) {
+    cacheChannel.postMessage({ type: 'invalidate', site });
+  }
+  await withCacheStore('readwrite', store => {
+    if (!site) {
+      store.clear();
+      return;
+    }
+    const cursorRequest = store.openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      if (cursor.value.site === site) cursor.delete();
+      cursor.continue();
+    };
   });
 }
 
-// Non-blocking font loading
+// Invalidate when #search-config reports a different publish version than last visit,
+// then load what is left from storage
+async function prepareSearchCache(site, contentVersion) {
+  if (contentVersion) {
+    const versionKey = `${CONTENT_VERSION_KEY}:${site}`;
+    try {
+      const previousVersion = localStorage.getItem(versionKey);
+      if (previousVersion && previousVersion !== contentVersion) {
+        await invalidateSearchCache(site);
+      }
+      localStorage.setItem(versionKey, contentVersion);
+    } catch (e) {
+      console.warn('Could not check content version:', e);
+    }
+  }
+  await hydrateSearchCache();
+}
+
+if (cacheChannel) {
+  cacheChannel.onmessage = ({ data }) => {
+    if (!data) return;
+    if (data.type === 'set' && data.entry) {
+      rememberCacheEntry(data.entry);
+    } else if (data.type === 'invalidate') {
+      forgetSiteEntries(data.site);
+    }
+  };
+}
+
+// Instant cache lookup. Each server batch of a query is cached on its own; entries
+// hold `{ results, total, hasMore }` as returned by executeParallelSearches, plus
+// `isStale` once they are past CACHE_DURATION and should be revalidated.
+function getCachedResults(query, cacheScope, batchIndex = 0) {
+  const cacheKey = getCacheKey(query, cacheScope, batchIndex);
+  const cached = searchCache.get(cacheKey);
+  if (!cached) return null;
+
+  const age = Date.now() - cached.timestamp;
+  if (age >= STALE_CACHE_DURATION) {
+    searchCache.delete(cacheKey);
+    return null;
+  }
+
+  rememberCacheEntry(cached);
+  console.log('⚡ Instant cache hit for:', query);
+  return { ...cached.batch, isStale: age >= CACHE_DURATION };
+}
+
+function setCachedResults(query, cacheScope, batch, batchIndex = 0) {
+  const { isStale, ...storedBatch } = batch;
+  const entry = {
+    key: getCacheKey(query, cacheScope, batchIndex),
+    site: getCacheSite(cacheScope),
+    batch: storedBatch,
+    timestamp: Date.now()
+  };
+
+  rememberCacheEntry(entry);
+  withCacheStore('readwrite', store => { store.put(entry); });
+  if (cacheChannel) {
+    cacheChannel.postMessage({ type: 'set', entry });
+  }
+}
+
+// Non-blocking font loading (once per page, however many widgets there are)
+const DEFAULT_FONTS_URL = 'https://fonts.googleapis.com/css2?family=Oswald:wght@200;300;400;500;600;700&family=Great+Vibes&family=Montserrat:ital,wght@0,100..900;1,100..900&family=Lato:ital,wght@0,100;0,300;0,400;0,700;0,900;1,100;1,300;1,400;1,700;1,900&family=Inter:ital,wght@0,100..900;1,100..900&display=swap';
+
 function loadFontsAsync() {
+  if (document.querySelector(`link[href="${DEFAULT_FONTS_URL}"]`)) return;
   const fontLink = document.createElement('link');
-  fontLink.href = 'https://fonts.googleapis.com/css2?family=Oswald:wght@200;300;400;500;600;700&family=Great+Vibes&family=Montserrat:ital,wght@0,100..900;1,100..900&family=Lato:ital,wght@0,100;0,300;0,400;0,700;0,900;1,100;1,300;1,400;1,700;1,900&family=Inter:ital,wght@0,100..900;1,100..900&display=swap';
+  fontLink.href = DEFAULT_FONTS_URL;
   fontLink.rel = 'stylesheet';
   fontLink.type = 'text/css';
   document.head.appendChild(fontLink);
@@ -75,9 +251,25 @@ function loadCustomFontsFromLink(link) {
 // Optimized API requests
 let currentSearchController = null;
 
+// The caller's `options.signal` cancels the request (AbortError, never retried); running
+// past the time limit fails it with a TimeoutError instead, so it is not mistaken for a
+// search that was superseded
 async function optimizedFetch(url, options = {}, retries = 1) {
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 10000);
+  const callerSignal = options.signal;
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, 10000);
+  const forwardAbort = () => controller.abort();
+  if (callerSignal) {
+    if (callerSignal.aborted) {
+      forwardAbort();
+    } else {
+      callerSignal.addEventListener('abort', forwardAbort, { once: true });
+    }
+  }
   
   try {
     const response = await fetch(url, {
@@ -90,10 +282,14 @@ async function optimizedFetch(url, options = {}, retries = 1) {
       }
     });
     
-    clearTimeout(timeoutId);
     return response;
   } catch (error) {
-    clearTimeout(timeoutId);
+    if (callerSignal?.aborted) throw error;
+    if (timedOut) {
+      const timeoutError = new Error('Request timed out');
+      timeoutError.name = 'TimeoutError';
+      throw timeoutError;
+    }
     
     if (retries > 0 && error.name !== 'AbortError') {
       await new Promise(resolve => setTimeout(resolve, 300));
@@ -101,61 +297,494 @@ async function optimizedFetch(url, options = {}, retries = 1) {
     }
     
     throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    callerSignal?.removeEventListener('abort', forwardAbort);
+  }
+}
+
+// Search backend adapters
+const DEFAULT_API_BASE_URL = 'https://search-server.long-rain-28bb.workers.dev/api';
+const SERVER_BATCH_SIZE = 50;
+// Batches read in a row while client-side filters keep coming up empty, before showing
+// what there is (Load More picks up from there)
+const MAX_FILTERED_BATCHES = 4;
+const searchBackendFactories = new Map();
+let activeSearchBackend = createHttpSearchBackend(DEFAULT_API_BASE_URL);
+
+// Default adapter: talks to the search worker (or any compatible server) over HTTP.
+// Every method resolves with the parsed JSON payload and throws on a failed response.
+// Search payloads are `{ results, total? , hasMore? }`, paged with `limit`/`offset`.
+function createHttpSearchBackend(baseUrl = DEFAULT_API_BASE_URL) {
+  const apiBase = String(baseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+  const encodeList = (list) => encodeURIComponent(JSON.stringify(list || []));
+
+  const readJson = async (response) => {
+    if (!response.ok) {
+      throw new Error(response.statusText || `Request failed with status ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return {
+    // Tokens are issued per server (see getVisitorSessionToken)
+    baseUrl: apiBase,
+
+    async searchIndex({ query, siteName, limit = SERVER_BATCH_SIZE, offset = 0, token, signal }) {
+      const response = await optimizedFetch(
+        `${apiBase}/search-index?query=${encodeURIComponent(query)}&siteName=${encodeURIComponent(siteName)}&limit=${limit}&offset=${offset}`,
+        { headers: { Authorization: `Bearer ${token}` }, signal }
+      );
+      return readJson(response);
+    },
+
+    async searchCms({ query, siteName, collections, searchFields, displayFields, limit = SERVER_BATCH_SIZE, offset = 0, token, signal }) {
+      const response = await optimizedFetch(
+        `${apiBase}/search-cms?query=${encodeURIComponent(query)}&siteName=${encodeURIComponent(siteName)}&collections=${encodeList(collections)}&searchFields=${encodeList(searchFields)}&displayFields=${encodeList(displayFields)}&limit=${limit}&offset=${offset}`,
+        { headers: { Authorization: `Bearer ${token}` }, signal }
+      );
+      return readJson(response);
+    },
+
+    async suggestions({ query, siteName, collections, searchFields, signal }) {
+      const response = await fetch(
+        `${apiBase}/suggestions?query=${encodeURIComponent(query)}&siteName=${encodeURIComponent(siteName)}&collections=${encodeList(collections)}&searchFields=${encodeList(searchFields)}`,
+        { signal }
+      );
+      return readJson(response);
+    },
+
+    async visitorToken({ visitorId, userAgent, siteName }) {
+      const response = await optimizedFetch(`${apiBase}/visitor-token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ visitorId, userAgent, siteName }),
+      });
+      return readJson(response);
+    },
+  };
+}
+
+// Register a named backend selectable with `data-search-backend` on #search-config.
+// The factory receives `{ baseUrl }` and may implement only some of the adapter
+// methods; the rest fall back to the HTTP adapter for the same base URL.
+function registerSearchBackend(name, factory) {
+  if (!name || typeof factory !== 'function') {
+    console.warn('registerSearchBackend expects a name and a factory function.');
+    return;
+  }
+  searchBackendFactories.set(name, factory);
+}
+
+function createSearchBackend({ name, baseUrl } = {}) {
+  const resolvedBaseUrl = baseUrl || DEFAULT_API_BASE_URL;
+  const httpBackend = createHttpSearchBackend(resolvedBaseUrl);
+  const factory = name ? searchBackendFactories.get(name) : null;
+
+  if (name && !factory) {
+    console.warn(`Search backend "${name}" is not registered, using HTTP backend.`);
+  }
+
+  return factory
+    ? { ...httpBackend, ...factory({ baseUrl: resolvedBaseUrl }) }
+    : httpBackend;
+}
+
+// Set the backend used by the standalone functions (instances carry their own)
+function configureSearchBackend(config = {}) {
+  activeSearchBackend = createSearchBackend(config);
+  return activeSearchBackend;
+}
+
+function getSearchBackend() {
+  return activeSearchBackend;
+}
+
+// Offline index: a prebuilt JSON export of pages and CMS items, ranked in the browser
+// with BM25. Accepts `{ pages: [...], cms: [...] }` or a flat array of items carrying
+// `_type`; items use the same fields as the search worker's results.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const OFFLINE_FALLBACK_TIMEOUT = 4000;
+const TITLE_FIELDS = ['name', 'title', 'heading', 'headline', 'label'];
+
+function tokenizeSearchText(text) {
+  return foldSearchText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Pages are searched on every text field; CMS items on their title and the configured search fields
+function getSearchableText(item, searchFields = []) {
+  const fields = item._type === 'cms' && searchFields.length > 0
+    ? [...new Set([...TITLE_FIELDS, ...searchFields])]
+    : Object.keys(item);
+  return fields
+    .map(field => (typeof item[field] === 'string' ? htmlToText(item[field]) : ''))
+    .join(' ');
+}
+
+function buildOfflineIndex(indexData, searchFields = []) {
+  const items = Array.isArray(indexData)
+    ? indexData
+    : [
+        ...(indexData.pages || []).map(item => ({ ...item, _type: 'page' })),
+        ...(indexData.cms || indexData.items || []).map(item => ({ ...item, _type: 'cms' })),
+      ];
+
+  const docs = items.map(item => {
+    const type = item._type === 'cms' ? 'cms' : 'page';
+    const tokens = tokenizeSearchText(getSearchableText({ ...item, _type: type }, searchFields));
+
+    const terms = new Map();
+    tokens.forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+    return { item: { ...item, _type: type }, type, terms, length: tokens.length };
+  });
+
+  const documentFrequency = new Map();
+  docs.forEach(doc => {
+    doc.terms.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+  const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+
+  return { docs, documentFrequency, averageLength };
+}
+
+// Ranked items of one type. The last query term also matches as a prefix
+// (at half weight) so results keep up while a word is still being typed.
+function searchOfflineIndex(index, query, type) {
+  const queryTerms = [...new Set(tokenizeSearchText(query))];
+  if (queryTerms.length === 0) return [];
+
+  const { docs, documentFrequency, averageLength } = index;
+  const lastTerm = queryTerms[queryTerms.length - 1];
+  const prefixTerms = lastTerm.length >= 3
+    ? [...documentFrequency.keys()].filter(term => term !== lastTerm && term.startsWith(lastTerm))
+    : [];
+
+  const scoreTerm = (doc, term) => {
+    const termFrequency = doc.terms.get(term);
+    if (!termFrequency) return 0;
+    const df = documentFrequency.get(term);
+    const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+    const lengthNorm = 1 - BM25_B + BM25_B * (doc.length / (averageLength || 1));
+    return idf * (termFrequency * (BM25_K1 + 1)) / (termFrequency + BM25_K1 * lengthNorm);
+  };
+
+  return docs
+    .filter(doc => doc.type === type)
+    .map(doc => {
+      let score = queryTerms.reduce((sum, term) => sum + scoreTerm(doc, term), 0);
+      if (!doc.terms.has(lastTerm) && prefixTerms.length > 0) {
+        score += 0.5 * Math.max(...prefixTerms.map(term => scoreTerm(doc, term)));
+      }
+      return { item: doc.item, score };
+    })
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.item);
+}
+
+// Built offline indexes by URL and search fields, shared by every widget on the page
+// and kept across setOptions; a failed download is forgotten so the next use retries it
+const offlineIndexes = new Map();
+
+function loadOfflineIndex(indexUrl, searchFields = []) {
+  const key = JSON.stringify([indexUrl, searchFields]);
+  if (!offlineIndexes.has(key)) {
+    offlineIndexes.set(key, fetch(indexUrl)
+      .then(response => {
+        if (!response.ok) throw new Error(`Offline index request failed with status ${response.status}`);
+        return response.json();
+      })
+      .then(indexData => buildOfflineIndex(indexData, searchFields))
+      .catch(error => {
+        offlineIndexes.delete(key);
+        throw error;
+      }));
+  }
+  return offlineIndexes.get(key);
+}
+
+// Adapter over the offline index, paged like the HTTP backend. The index is
+// downloaded on first use or when `preload()` is called (see loadOfflineIndex).
+function createOfflineSearchBackend({ indexUrl, searchFields = [] } = {}) {
+  const loadIndex = () => loadOfflineIndex(indexUrl, searchFields);
+
+  const toPage = (items, { limit = SERVER_BATCH_SIZE, offset = 0 }) => ({
+    results: items.slice(offset, offset + limit),
+    total: items.length,
+    hasMore: offset + limit < items.length,
+  });
+
+  return {
+    preload: loadIndex,
+
+    async searchIndex(params) {
+      const index = await loadIndex();
+      return toPage(searchOfflineIndex(index, params.query, 'page'), params);
+    },
+
+    async searchCms(params) {
+      const index = await loadIndex();
+      return toPage(searchOfflineIndex(index, params.query, 'cms'), params);
+    },
+
+    async suggestions({ query }) {
+      const index = await loadIndex();
+      const titles = [
+        ...searchOfflineIndex(index, query, 'page'),
+        ...searchOfflineIndex(index, query, 'cms'),
+      ].map(getResultTitle);
+      return { suggestions: [...new Set(titles)].slice(0, 8) };
+    },
+  };
+}
+
+// Wrap `primary` so searches that fail, or take longer than `timeout` ms, are answered from
+// `offline`. A request that runs out of time is aborted rather than left to finish unseen.
+function withOfflineFallback(primary, offline, timeout = OFFLINE_FALLBACK_TIMEOUT) {
+  const fallback = (method) => async (params) => {
+    const controller = new AbortController();
+    const callerSignal = params.signal;
+    const forwardAbort = () => controller.abort();
+    if (callerSignal) {
+      if (callerSignal.aborted) {
+        forwardAbort();
+      } else {
+        callerSignal.addEventListener('abort', forwardAbort, { once: true });
+      }
+    }
+
+    let timeoutId;
+    const timedOut = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        reject(new Error(`timed out after ${timeout}ms`));
+        controller.abort();
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([primary[method]({ ...params, signal: controller.signal }), timedOut]);
+    } catch (error) {
+      // A cancelled request was superseded; answering it offline would be wasted work
+      if (callerSignal?.aborted) throw error;
+      console.warn(`⚠️ ${method} unavailable (${error.message}), using offline index`);
+      return offline[method](params);
+    } finally {
+      clearTimeout(timeoutId);
+      callerSignal?.removeEventListener('abort', forwardAbort);
+    }
+  };
+
+  return {
+    ...primary,
+    searchIndex: fallback('searchIndex'),
+    searchCms: fallback('searchCms'),
+    suggestions: fallback('suggestions'),
+  };
+}
+
+// mode "fallback" (default) keeps `backend` and downloads the index the first time it
+// has to fall back; mode "primary" answers every search from the index, for small
+// sites, so it fetches the index right away
+function withOfflineSearch(backend, { indexUrl, mode = 'fallback', timeout, searchFields = [] } = {}) {
+  if (!indexUrl) return backend;
+
+  const offline = createOfflineSearchBackend({ indexUrl, searchFields });
+  if (mode !== 'primary') {
+    return withOfflineFallback(backend, offline, timeout || OFFLINE_FALLBACK_TIMEOUT);
+  }
+
+  offline.preload().catch(error => console.warn('Failed to preload offline search index:', error));
+  return { ...backend, searchIndex: offline.searchIndex, searchCms: offline.searchCms, suggestions: offline.suggestions };
+}
+
+function configureOfflineSearch(config = {}) {
+  activeSearchBackend = withOfflineSearch(activeSearchBackend, config);
+  return activeSearchBackend;
+}
+
+// Display title for a result, trying the usual title-like fields in order
+function getResultTitle(item, t = translateDefault) {
+  return item.name || item.title || item.heading || item.headline || item.label || t('untitled');
+}
+
+// Resolved link for a result: pages use their published path, CMS items their detail URL
+function getResultUrl(item) {
+  return item._type === 'page'
+    ? (item.publishedPath || item.slug || "#")
+    : (item.detailUrl || "#");
+}
+
+// Comparable form of a result URL so "/blog/post/" and "https://site.com/blog/post" match
+function normalizeResultUrl(url) {
+  if (!url || url === '#') return '';
+  try {
+    const parsed = new URL(url, window.location.origin);
+    return `${parsed.pathname.replace(/\/+$/, '') || '/'}${parsed.search}`.toLowerCase();
+  } catch (e) {
+    return String(url).trim().toLowerCase();
   }
 }
 
-// Parallel search execution
-async function executeParallelSearches(query, selectedOption, siteName, token, collectionsParam, fieldsSearchParam, fieldsDisplayParam) {
-  const headers = { Authorization: `Bearer ${token}` };
+// Reciprocal-rank fusion of the per-type result lists. Each item scores
+// weight / (RRF_K + rank), with rank counted from `rankOffset` for later batches.
+// Items sharing a resolved URL are collapsed into one entry whose scores are
+// summed, keeping the copy that ranked best on its own.
+const RRF_K = 60;
+
+function mergeSearchResults(resultLists, weights = {}, rankOffset = 0) {
+  const merged = new Map();
+
+  resultLists.forEach(({ type, items }) => {
+    const weight = Number.isFinite(weights[type]) ? weights[type] : 1;
+
+    items.forEach((item, rank) => {
+      const score = weight / (RRF_K + rankOffset + rank + 1);
+      const key = normalizeResultUrl(getResultUrl(item)) || `${type}:${rank}`;
+      const existing = merged.get(key);
+
+      if (!existing) {
+        merged.set(key, { item, score, bestScore: score, order: merged.size });
+        return;
+      }
+
+      existing.score += score;
+      if (score > existing.bestScore) {
+        existing.item = item;
+        existing.bestScore = score;
+      }
+    });
+  });
+
+  return [...merged.values()]
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(entry => ({ ...entry.item, _score: entry.score }));
+}
+
+// Total hit count from a search payload, or null when the backend does not report one
+function readTotalHits(data) {
+  const total = data && (data.total ?? data.totalHits ?? data.totalCount ?? data.pagination?.total);
+  const parsed = parseInt(total, 10);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// Parallel search execution. Fetches one batch (`options.offset`, SERVER_BATCH_SIZE per
+// type) and resolves with `{ results, total, hasMore }`; `total` is null when unknown.
+// `options.backend` and `options.signal` let an instance use its own adapter and
+// cancellation; otherwise the shared backend and controller are used.
+async function executeParallelSearches(query, selectedOption, siteName, token, selectedCollections, selectedFieldsSearch, selectedFieldsDisplay, options = {}) {
+  const backend = options.backend || getSearchBackend();
+  const offset = options.offset || 0;
+  const limit = SERVER_BATCH_SIZE;
   const searchPromises = [];
+  let signal = options.signal;
   
-  if (currentSearchController) {
-    currentSearchController.abort();
+  if (!signal) {
+    if (currentSearchController) {
+      currentSearchController.abort();
+    }
+    
+    currentSearchController = new AbortController();
+    signal = currentSearchController.signal;
   }
   
-  currentSearchController = new AbortController();
-  
   if (selectedOption === "Pages" || selectedOption === "Both") {
-    const pagePromise = optimizedFetch(
-      `https://search-server.long-rain-28bb.workers.dev/api/search-index?query=${encodeURIComponent(query)}&siteName=${siteName}&limit=50`,
-      { headers, signal: currentSearchController.signal }
-    );
+    const pagePromise = backend.searchIndex({
+      query,
+      siteName,
+      token,
+      limit,
+      offset,
+      signal
+    });
     searchPromises.push({ type: 'page', promise: pagePromise });
   }
   
   if (selectedOption === "Collection" || selectedOption === "Both") {
-    const cmsPromise = optimizedFetch(
-      `https://search-server.long-rain-28bb.workers.dev/api/search-cms?query=${encodeURIComponent(query)}&siteName=${siteName}&collections=${collectionsParam}&searchFields=${fieldsSearchParam}&displayFields=${fieldsDisplayParam}&limit=50`,
-      { headers, signal: currentSearchController.signal }
-    );
+    const cmsPromise = backend.searchCms({
+      query,
+      siteName,
+      token,
+      collections: selectedCollections,
+      searchFields: selectedFieldsSearch,
+      displayFields: selectedFieldsDisplay,
+      limit,
+      offset,
+      signal
+    });
     searchPromises.push({ type: 'cms', promise: cmsPromise });
   }
   
   const results = await Promise.allSettled(
     searchPromises.map(async ({ type, promise }) => {
       try {
-        const response = await promise;
-        if (response.ok) {
-          const data = await response.json();
-          return { type, data: data.results || [], success: true };
-        } else {
-          return { type, data: [], success: false, error: response.statusText };
-        }
+        const data = await promise;
+        const items = (data && data.results) || [];
+        const total = readTotalHits(data);
+        const hasMore = typeof data?.hasMore === 'boolean'
+          ? data.hasMore
+          : total !== null ? offset + items.length < total : items.length >= limit;
+        return { type, data: items, total, hasMore, success: true };
       } catch (error) {
-        return { type, data: [], success: false, error: error.message };
+        return { type, data: [], success: false, error };
       }
     })
   );
+
+  // One failed type still shows the other's hits; a cancelled search or a failure of
+  // every type rejects, so it is never mistaken for "no results"
+  const errors = results.filter(result => !result.value.success).map(result => result.value.error);
+  const abortError = errors.find(error => error.name === 'AbortError');
+  if (abortError) throw abortError;
+  if (errors.length > 0 && errors.length === searchPromises.length) throw errors[0];
   
-  let allResults = [];
+  const resultLists = [];
+  let total = 0;
+  let totalKnown = true;
+  let hasMore = false;
   results.forEach(result => {
     if (result.status === 'fulfilled' && result.value.success) {
       const typeData = result.value.data.map(item => ({ ...item, _type: result.value.type }));
-      allResults = allResults.concat(typeData);
+      resultLists.push({ type: result.value.type, items: typeData });
+      hasMore = hasMore || result.value.hasMore;
+      if (result.value.total === null) {
+        totalKnown = false;
+      } else {
+        total += result.value.total;
+      }
     }
   });
   
-  return allResults;
+  const merged = mergeSearchResults(resultLists, options.fusionWeights, offset);
+  // Hits collapsed by de-duplication can never be paged to, so leave them out of the total
+  const collapsed = resultLists.reduce((sum, list) => sum + list.items.length, 0) - merged.length;
+  
+  return {
+    results: merged,
+    total: totalKnown ? Math.max(offset + merged.length, total - collapsed) : null,
+    hasMore
+  };
+}
+
+// One batch from the batches of several backend queries (see getBackendQueries),
+// fused by rank like the per-type lists. Their hits overlap, so the total is unknown.
+// Rejects like executeParallelSearches when the search was cancelled or every query failed.
+function mergeSearchBatches(settledBatches, rankOffset = 0) {
+  const errors = settledBatches.filter(result => result.status === 'rejected').map(result => result.reason);
+  const abortError = errors.find(error => error.name === 'AbortError');
+  if (abortError) throw abortError;
+
+  const batches = settledBatches.filter(result => result.status === 'fulfilled').map(result => result.value);
+  if (batches.length === 0) throw errors[0];
+  if (settledBatches.length === 1) return batches[0];
+
+  return {
+    results: mergeSearchResults(batches.map((batch, index) => ({ type: `query${index}`, items: batch.results })), {}, rankOffset),
+    total: null,
+    hasMore: batches.some(batch => batch.hasMore),
+  };
 }
 
 // Font weight helper
@@ -173,556 +802,2928 @@ function fontWeightFromClass(className) {
   }
 }
 
-// Enhanced content snippet extraction with keyword highlighting
-function extractContentSnippet(content, searchQuery, maxLength = 150) {
-  if (!content || !searchQuery) return '';
-  
-  // Strip HTML tags for better text extraction
-  const stripHtml = (html) => {
-    const div = document.createElement('div');
-    div.innerHTML = html;
-    return div.textContent || div.innerText || '';
-  };
-  
-  const cleanContent = stripHtml(content);
-  const query = searchQuery.toLowerCase();
-  const contentLower = cleanContent.toLowerCase();
-  const queryIndex = contentLower.indexOf(query);
-  
-  if (queryIndex === -1) {
-    return cleanContent.slice(0, maxLength) + (cleanContent.length > maxLength ? '...' : '');
-  }
-  
-  // Extract snippet around the keyword
-  const start = Math.max(0, queryIndex - 50);
-  const end = Math.min(cleanContent.length, queryIndex + query.length + 50);
-  let snippet = cleanContent.slice(start, end);
-  
-  // Add ellipsis if we're not at the beginning/end
-  if (start > 0) snippet = '...' + snippet;
-  if (end < cleanContent.length) snippet = snippet + '...';
-  
-  return snippet;
+// Escape-by-default rendering. Every CMS- or visitor-supplied value goes through
+// escapeHtml (text and attributes alike) or sanitizeUrl (href/src) before it is
+// interpolated into markup.
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
-// Highlight search keywords in content
-function highlightKeywords(text, searchQuery) {
-  if (!text || !searchQuery) return text;
-  
-  const query = searchQuery.trim();
-  if (!query) return text;
-  
-  // Split query into individual words for better matching
-  const words = query.split(/\s+/).filter(word => word.length > 2);
-  
-  let highlightedText = text;
-  words.forEach(word => {
-    const regex = new RegExp(`(${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-    highlightedText = highlightedText.replace(regex, '<mark>$1</mark>');
-  });
-  
-  return highlightedText;
+// Relative URLs and http(s)/mailto/tel pass; anything else (javascript:, vbscript:,
+// data: outside images...) becomes `fallback`. Control characters and whitespace are
+// ignored when reading the scheme, as browsers do.
+function sanitizeUrl(url, { fallback = '#', allowDataImages = false } = {}) {
+  const value = String(url ?? '').trim();
+  if (!value) return fallback;
+
+  const scheme = value.replace(/[\u0000-\u0020\u007F]+/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return value;
+
+  const protocol = `${scheme[1].toLowerCase()}:`;
+  if (SAFE_URL_SCHEMES.includes(protocol)) return value;
+  if (allowDataImages && protocol === 'data:' && /^data:image\//i.test(value.trim())) return value;
+  return fallback;
 }
 
-// Get primary image from item
-function getPrimaryImage(item) {
-  // Check for images field first
-  if (item.images) {
-    if (Array.isArray(item.images) && item.images.length > 0) {
-      return item.images[0];
-    } else if (item.images.url) {
-      return item.images;
+// Text content of an HTML fragment. Parsed in an inert document so markup in CMS
+// content (e.g. <img onerror>) never loads or runs while being stripped.
+function htmlToText(html) {
+  if (!html) return '';
+  const parsed = new DOMParser().parseFromString(String(html), 'text/html');
+  return parsed.body ? parsed.body.textContent || '' : '';
+}
+
+function getImageUrl(image) {
+  return typeof image === 'string' ? image : (image && image.url) || '';
+}
+
+// Query matching shared by highlighting and snippets. Text and query are both folded
+// (lower-cased, accents stripped) so "cafe" finds "Café", and every match is mapped
+// back to offsets in the original text.
+const NO_SPACE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// NFD splits accents off so they can be dropped; NFC then puts back together what
+// NFD split without a mark, such as Hangul syllables (한 → ᄒ ᅡ ᆫ)
+function foldSearchText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .normalize('NFC')
+    .replace(/ß/g, 'ss');
+}
+
+// Folded text plus, for each folded UTF-16 unit, the original range it came from
+function foldWithOffsets(text) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let index = 0;
+
+  for (const char of text) {
+    const foldedChar = foldSearchText(char);
+    if (foldedChar === '' && ends.length > 0) {
+      // A stripped combining mark belongs to the character before it
+      ends[ends.length - 1] = index + char.length;
     }
-  }
-  
-  // Check for featured image or similar
-  if (item.featuredImage) {
-    return item.featuredImage;
-  }
-  
-  // Check for any field that might contain an image URL
-  for (const [key, value] of Object.entries(item)) {
-    if (typeof value === 'object' && value !== null && value.url) {
-      return value;
+    for (let i = 0; i < foldedChar.length; i++) {
+      starts.push(index);
+      ends.push(index + char.length);
     }
+    folded += foldedChar;
+    index += char.length;
   }
-  
-  return null;
+
+  return { folded, starts, ends };
 }
 
-// Ultra-fast rendering with FIXED pagination and optimized content display
-function renderResultsFast(results, title, displayMode, maxItems, gridColumns = 3, paginationType = "None", container, currentPage = 1, isPageResult = true, styles = {}, selectedFieldsDisplay = [], searchQuery = '') {
-  if (!Array.isArray(results) || results.length === 0) return "";
-  
-  const totalPages = maxItems ? Math.ceil(results.length / maxItems) : 1;
-  currentPage = Math.max(1, Math.min(currentPage, totalPages));
+// Query syntax: `"exact phrase"`, `-excluded` (also `-"phrase"`), `a OR b` and
+// `field:value` / `field:"some value"` for fields in `searchFields`. Clauses are
+// `{ type: 'term' | 'phrase' | 'field', text, field }`; positive ones form AND-ed
+// groups of OR-ed alternatives. Without `searchFields` every `field:value` is
+// read as a field clause, which is enough for highlighting.
+const QUERY_TOKEN = /(-)?(?:([\p{L}\p{N}_][\p{L}\p{N}_-]*):)?(?:"([^"]*)"?|(\S+))/gu;
+
+function parseSearchQuery(query, searchFields = null) {
+  const groups = [];
+  const exclusions = [];
+  let joinNext = false;
+
+  for (const match of String(query || '').matchAll(QUERY_TOKEN)) {
+    const [, negated, fieldName, phrase, word] = match;
+    if (!fieldName && phrase === undefined && word === 'OR' && !negated) {
+      joinNext = groups.length > 0;
+      continue;
+    }
+
+    let clause;
+    const field = fieldName && (searchFields
+      ? searchFields.find(name => name.toLowerCase() === fieldName.toLowerCase())
+      : fieldName);
+    if (field) {
+      clause = { type: 'field', field, text: (phrase ?? word ?? '').trim() };
+    } else if (fieldName) {
+      // Not a searchable field: the colon is just part of the text
+      clause = { type: phrase !== undefined ? 'phrase' : 'term', text: `${fieldName}:${phrase ?? word}`.trim() };
+    } else {
+      clause = { type: phrase !== undefined ? 'phrase' : 'term', text: (phrase ?? word).trim().replace(/\s+/g, ' ') };
+    }
+    if (!/[\p{L}\p{N}]/u.test(clause.text)) continue;
+    // A quoted single word is just a term
+    if (clause.type === 'phrase' && !/\s/.test(clause.text)) clause.type = 'term';
+
+    if (negated) {
+      exclusions.push(clause);
+    } else if (joinNext) {
+      groups[groups.length - 1].push(clause);
+    } else {
+      groups.push([clause]);
+    }
+    joinNext = false;
+  }
+
+  const positive = groups.flat();
+  return {
+    groups,
+    exclusions,
+    // Phrases, field filters and exclusions are checked on the client (see matchesParsedQuery)
+    hasClientConstraints: exclusions.length > 0 || positive.some(clause => clause.type !== 'term'),
+  };
+}
+
+// Folded clause text without the punctuation around it
+function normalizeClauseText(text) {
+  return foldSearchText(text).trim().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+// Whole-word match of folded text, with any whitespace between phrase words; scripts
+// without spaces match anywhere
+function createClausePattern(text, flags = 'u') {
+  const folded = normalizeClauseText(text);
+  const escaped = folded.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  if (NO_SPACE_SCRIPT.test(folded)) return new RegExp(escaped, flags);
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, flags);
+}
+
+function clauseMatchesItem(clause, item, searchableText) {
+  const pattern = createClausePattern(clause.text);
+  if (clause.type !== 'field') return pattern.test(searchableText);
+  return getFacetValues(item, clause.field).some(value => pattern.test(foldSearchText(htmlToText(value))));
+}
+
+// What a plain-text backend is sent. A backend may AND its terms, so OR-ed alternatives
+// become separate queries, one per combination with the typed words first, capped at
+// MAX_BACKEND_QUERIES. Field filters are only sent when nothing else was typed.
+const MAX_BACKEND_QUERIES = 8;
+
+function getBackendQueries(parsedQuery) {
+  const textGroups = parsedQuery.groups.filter(group => group.some(clause => clause.type !== 'field'));
+  let queries = [[]];
+  (textGroups.length > 0 ? textGroups : parsedQuery.groups).forEach(group => {
+    const alternatives = [...new Set(group.map(clause => clause.text))];
+    queries = queries
+      .flatMap(words => alternatives.map(text => [...words, text]))
+      .slice(0, MAX_BACKEND_QUERIES);
+  });
+  return queries.map(words => words.join(' ')).filter(Boolean);
+}
+
+// Client-side half of the query syntax. Plain-term groups are left to the backend's
+// own ranking; groups holding a phrase or field filter need one alternative to match,
+// and no exclusion may match.
+function matchesParsedQuery(item, parsedQuery, searchFields = []) {
+  const searchableText = foldSearchText(getSearchableText(item, searchFields));
+  const matches = clause => clauseMatchesItem(clause, item, searchableText);
+  const isPlainGroup = group => group.every(clause => clause.type === 'term' || clause.synonym);
+  return parsedQuery.groups.every(group => isPlainGroup(group) || group.some(matches))
+    && !parsedQuery.exclusions.some(matches);
+}
+
+// ===== SYNONYMS AND STOPWORDS =====
+// Site vocabulary from #search-config. `data-synonyms` maps a word visitors type to
+// what the content may say instead, e.g. {"tee": ["t-shirt"], "hours": ["opening times"]};
+// `data-stopwords` lists words too common to highlight or rank snippets by. Each holds
+// inline JSON or the URL of a JSON file.
+
+// Short FNV-1a digest, enough to tell versions of a config value apart
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+function createSearchVocabulary({ synonyms = {}, stopwords = [] } = {}) {
+  const synonymMap = new Map();
+  if (synonyms && typeof synonyms === 'object' && !Array.isArray(synonyms)) {
+    Object.entries(synonyms).forEach(([word, alternatives]) => {
+      const key = normalizeClauseText(word);
+      const texts = (Array.isArray(alternatives) ? alternatives : [alternatives])
+        .filter(text => typeof text === 'string' && /[\p{L}\p{N}]/u.test(text))
+        .map(text => text.trim().replace(/\s+/g, ' '));
+      if (key && texts.length > 0) synonymMap.set(key, [...(synonymMap.get(key) || []), ...texts]);
+    });
+  }
+
+  return {
+    synonyms: synonymMap,
+    // Changes whenever the synonyms do, e.g. after the synonyms file is edited
+    version: hashString(JSON.stringify([...synonymMap])),
+    stopwords: new Set((Array.isArray(stopwords) ? stopwords : [])
+      .map(word => normalizeClauseText(String(word)))
+      .filter(Boolean)),
+  };
+}
+
+const EMPTY_VOCABULARY = createSearchVocabulary();
+
+// Each vocabulary URL is fetched once per page; a failed request is retried next time
+const vocabularyRequests = new Map();
+
+function loadVocabularySource(source, name) {
+  if (typeof source !== 'string' || !source) return Promise.resolve(source || null);
+  if (!vocabularyRequests.has(source)) {
+    vocabularyRequests.set(source, fetch(source)
+      .then(response => {
+        if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+        return response.json();
+      })
+      .catch(error => {
+        console.warn(`Could not load ${name} from ${source}:`, error);
+        vocabularyRequests.delete(source);
+        return null;
+      }));
+  }
+  return vocabularyRequests.get(source);
+}
+
+async function loadSearchVocabulary({ synonyms, stopwords } = {}) {
+  const [synonymData, stopwordData] = await Promise.all([
+    loadVocabularySource(synonyms, 'synonyms'),
+    loadVocabularySource(stopwords, 'stopwords'),
+  ]);
+  return createSearchVocabulary({ synonyms: synonymData || {}, stopwords: stopwordData || [] });
+}
+
+// Adds the synonyms of each plain term as OR-ed alternatives (quoted phrases are kept
+// exact), so each is sent to the backend as a query of its own (see getBackendQueries).
+// Synonyms never filter results on the client.
+function expandParsedQuery(parsedQuery, vocabulary = EMPTY_VOCABULARY) {
+  if (vocabulary.synonyms.size === 0) return parsedQuery;
+
+  const groups = parsedQuery.groups.map(group => {
+    const expanded = [...group];
+    group.forEach(clause => {
+      if (clause.type !== 'term') return;
+      (vocabulary.synonyms.get(normalizeClauseText(clause.text)) || []).forEach(text => {
+        const key = normalizeClauseText(text);
+        if (expanded.some(other => normalizeClauseText(other.text) === key)) return;
+        expanded.push({ type: /\s/.test(text) ? 'phrase' : 'term', text, synonym: true });
+      });
+    });
+    return expanded;
+  });
+
+  return { ...parsedQuery, groups };
+}
+
+// The query as highlighting and snippet scoring should see it: synonyms added,
+// stopwords and field filters left out, exclusions kept so they are never highlighted
+function buildHighlightQuery(query, vocabulary = EMPTY_VOCABULARY) {
+  if (vocabulary.synonyms.size === 0 && vocabulary.stopwords.size === 0) return query;
+  const parsedQuery = expandParsedQuery(parseSearchQuery(query), vocabulary);
+  const quote = clause => `"${clause.text.replace(/"/g, ' ')}"`;
+  return [
+    ...parsedQuery.groups.flat()
+      .filter(clause => clause.type !== 'field' && !vocabulary.stopwords.has(normalizeClauseText(clause.text)))
+      .map(quote),
+    ...parsedQuery.exclusions.filter(clause => clause.type !== 'field').map(clause => `-${quote(clause)}`),
+  ].join(' ');
+}
+
+// Terms of one character only match in scripts written without spaces (e.g. 水);
+// longer runs in those scripts also match by bigram, so partial phrases still light up.
+// Phrases match as a whole; excluded terms and field filters are never highlighted.
+function createQueryMatcher(searchQuery) {
+  const terms = [];
+  const keys = [];
+  const parsedQuery = parseSearchQuery(searchQuery);
+  const excluded = new Set(parsedQuery.exclusions.map(clause => normalizeClauseText(clause.text)));
+
+  parsedQuery.groups.flat().forEach(clause => {
+    if (clause.type === 'field') return;
+    const term = normalizeClauseText(clause.text);
+    if (!term || terms.includes(term) || excluded.has(term)) return;
+
+    if (clause.type === 'phrase') {
+      terms.push(term);
+      keys.push({ pattern: createClausePattern(clause.text, 'gu'), term });
+      return;
+    }
+
+    const chars = [...term];
+    const isNoSpaceScript = NO_SPACE_SCRIPT.test(term);
+    if (chars.length < 2 && !isNoSpaceScript) return;
+
+    terms.push(term);
+    keys.push({ key: term, term });
+    if (isNoSpaceScript && chars.length > 2) {
+      for (let i = 0; i < chars.length - 1; i++) {
+        if (NO_SPACE_SCRIPT.test(chars[i]) && NO_SPACE_SCRIPT.test(chars[i + 1])) {
+          keys.push({ key: chars[i] + chars[i + 1], term });
+        }
+      }
+    }
+  });
+
+  return {
+    terms,
+    // Matches as `{ start, end, term }` offsets into the original text, sorted by start
+    findMatches(text) {
+      if (!text || keys.length === 0) return [];
+      const { folded, starts, ends } = foldWithOffsets(String(text));
+      const matches = [];
+
+      keys.forEach(({ key, pattern, term }) => {
+        if (pattern) {
+          for (const match of folded.matchAll(pattern)) {
+            matches.push({ start: starts[match.index], end: ends[match.index + match[0].length - 1], term });
+          }
+          return;
+        }
+        let index = folded.indexOf(key);
+        while (index !== -1) {
+          matches.push({ start: starts[index], end: ends[index + key.length - 1], term });
+          index = folded.indexOf(key, index + key.length);
+        }
+      });
+
+      return matches.sort((a, b) => a.start - b.start || b.end - a.end);
+    },
+  };
+}
+
+// The same query is matched against every card, so keep the last matcher around
+let lastQueryMatcher = { query: null, matcher: null };
+
+function getQueryMatcher(searchQuery) {
+  if (lastQueryMatcher.query !== searchQuery) {
+    lastQueryMatcher = { query: searchQuery, matcher: createQueryMatcher(searchQuery) };
+  }
+  return lastQueryMatcher.matcher;
+}
+
+// Best run of occurrences fitting in `windowLength`: most distinct terms first, then
+// the tightest span that still covers them
+function findBestSnippetWindow(occurrences, windowLength) {
+  let best = null;
+  for (let i = 0; i < occurrences.length; i++) {
+    const terms = new Set();
+    let end = occurrences[i].end;
+    for (let j = i; j < occurrences.length && occurrences[j].end - occurrences[i].start <= windowLength; j++) {
+      if (!terms.has(occurrences[j].term)) {
+        terms.add(occurrences[j].term);
+        end = occurrences[j].end;
+      }
+    }
+    const span = end - occurrences[i].start;
+    if (!best || terms.size > best.terms.size || (terms.size === best.terms.size && span < best.end - best.start)) {
+      best = { start: occurrences[i].start, end, terms };
+    }
+  }
+  return best;
+}
+
+// Grow a match range into a fragment of about `length` characters, starting at a
+// sentence break shortly before the match when there is one, else at a word break
+function clipSnippetFragment(text, focusStart, focusEnd, length) {
+  const lead = Math.max(0, Math.floor((length - (focusEnd - focusStart)) / 3));
+  let start = Math.max(0, focusStart - lead);
+
+  const before = text.slice(Math.max(0, focusStart - Math.floor(length / 2)), focusStart);
+  const sentenceBreak = before.match(/^[\s\S]*[.!?]["')\]]?\s+/);
+  if (sentenceBreak) {
+    start = focusStart - before.length + sentenceBreak[0].length;
+  } else if (start > 0) {
+    const wordBreak = text.slice(start, focusStart).search(/\s/);
+    start = wordBreak === -1 ? focusStart : start + wordBreak + 1;
+  }
+
+  let end = Math.min(text.length, Math.max(start + length, focusEnd));
+  if (end < text.length) {
+    const lastSpace = text.slice(focusEnd, end).search(/\s\S*$/);
+    if (lastSpace !== -1) end = focusEnd + lastSpace;
+  }
+
+  return { start, end };
+}
+
+function formatSnippetFragments(text, fragments) {
+  return fragments
+    .map(({ start, end }, index) => {
+      const body = text.slice(start, end).trim();
+      const prefix = start > 0 && index === 0 ? '...' : '';
+      const suffix = end < text.length ? '...' : '';
+      return `${prefix}${body}${suffix}`;
+    })
+    .join(' ');
+}
+
+// Enhanced content snippet extraction: scores candidate windows by how many distinct
+// query terms they hold and how close together they are. When the terms are spread
+// out, two shorter fragments are joined with an ellipsis instead.
+function extractContentSnippet(content, searchQuery, maxLength = 150) {
+  if (!content || !searchQuery) return '';
   
-  const startIndex = maxItems ? (currentPage - 1) * maxItems : 0;
-  const endIndex = maxItems ? startIndex + maxItems : results.length;
-  const pagedResults = results.slice(startIndex, endIndex);
+  const cleanContent = htmlToText(content).replace(/\s+/g, ' ').trim();
+  const occurrences = getQueryMatcher(searchQuery).findMatches(cleanContent);
   
-  if (container) {
-    const existingPagination = container.querySelector('.pagination');
-    if (existingPagination) {
-      existingPagination.remove();
+  if (occurrences.length === 0) {
+    const { end } = clipSnippetFragment(cleanContent, 0, 0, maxLength);
+    return formatSnippetFragments(cleanContent, [{ start: 0, end }]);
+  }
+  
+  const best = findBestSnippetWindow(occurrences, maxLength);
+  const termsInContent = new Set(occurrences.map(occurrence => occurrence.term));
+  
+  if (best.terms.size < termsInContent.size) {
+    const fragmentLength = Math.floor((maxLength - 5) / 2);
+    const first = findBestSnippetWindow(occurrences, fragmentLength);
+    const firstRange = clipSnippetFragment(cleanContent, first.start, first.end, fragmentLength);
+    const remaining = occurrences.filter(occurrence =>
+      !first.terms.has(occurrence.term) && (occurrence.end <= firstRange.start || occurrence.start >= firstRange.end)
+    );
+    const second = remaining.length > 0 ? findBestSnippetWindow(remaining, fragmentLength) : null;
+    
+    if (second && first.terms.size + second.terms.size > best.terms.size) {
+      const secondRange = clipSnippetFragment(cleanContent, second.start, second.end, fragmentLength);
+      const fragments = [firstRange, secondRange].sort((a, b) => a.start - b.start);
+      if (fragments[0].end < fragments[1].start) {
+        return formatSnippetFragments(cleanContent, fragments);
+      }
+    }
+  }
+  
+  return formatSnippetFragments(cleanContent, [clipSnippetFragment(cleanContent, best.start, best.end, maxLength)]);
+}
+
+// Highlight search keywords in content. Takes plain text and returns escaped HTML:
+// `tag` (<mark> for results, <strong> for suggestions) is applied around escaped slices,
+// so the text itself can never inject markup. Overlapping matches are merged so tags never nest.
+function highlightKeywords(text, searchQuery, tag = 'mark') {
+  if (!text || !searchQuery) return escapeHtml(text);
+  
+  const matches = getQueryMatcher(searchQuery).findMatches(text);
+  if (matches.length === 0) return escapeHtml(text);
+  
+  const ranges = [];
+  matches.forEach(({ start, end }) => {
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+  
+  let highlightedText = '';
+  let cursor = 0;
+  ranges.forEach(({ start, end }) => {
+    highlightedText += `${escapeHtml(text.slice(cursor, start))}<${tag}>${escapeHtml(text.slice(start, end))}</${tag}>`;
+    cursor = end;
+  });
+  
+  return highlightedText + escapeHtml(text.slice(cursor));
+}
+
+// Get primary image from item
+function getPrimaryImage(item) {
+  // Check for images field first
+  if (item.images) {
+    if (Array.isArray(item.images) && item.images.length > 0) {
+      return item.images[0];
+    } else if (item.images.url) {
+      return item.images;
+    }
+  }
+  
+  // Check for featured image or similar
+  if (item.featuredImage) {
+    return item.featuredImage;
+  }
+  
+  // Check for any field that might contain an image URL
+  for (const [key, value] of Object.entries(item)) {
+    if (typeof value === 'object' && value !== null && value.url) {
+      return value;
+    }
+  }
+  
+  return null;
+}
+
+// Facets: result type, source collection and any option/reference fields named in config
+const FACET_TYPE = '_type';
+const FACET_COLLECTION = '_collection';
+
+function getResultCollection(item) {
+  const collection = item.collectionName || item.collection || item.collectionSlug || item.collectionId;
+  if (collection && typeof collection === 'object') {
+    return collection.name || collection.slug || collection.id || '';
+  }
+  return collection ? String(collection) : '';
+}
+
+// Facet values of an item as strings; reference fields contribute their name/title/slug
+function getFacetValues(item, field) {
+  if (field === FACET_TYPE) return item._type ? [item._type] : [];
+  if (field === FACET_COLLECTION) {
+    const collection = getResultCollection(item);
+    return collection ? [collection] : [];
+  }
+
+  const raw = item[field];
+  const values = Array.isArray(raw) ? raw : [raw];
+  return values
+    .map(value => {
+      if (value === null || value === undefined) return '';
+      if (typeof value === 'object') return value.name || value.title || value.label || value.slug || '';
+      return String(value).trim();
+    })
+    .filter(Boolean);
+}
+
+function getFacetLabel(field, t = translateDefault) {
+  if (field === FACET_TYPE) return t('facetType');
+  if (field === FACET_COLLECTION) return t('facetCollection');
+  const spaced = field.replace(/[-_]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').trim();
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+}
+
+function getFacetValueLabel(field, value, t = translateDefault) {
+  if (field === FACET_TYPE) return value === 'page' ? t('typePages') : value === 'cms' ? t('typeCms') : value;
+  return value;
+}
+
+// Values are OR-ed inside a facet group and groups are AND-ed together
+function matchesFacets(item, selectedFacets, skipField = null) {
+  return Object.entries(selectedFacets).every(([field, values]) => {
+    if (field === skipField || !values || values.length === 0) return true;
+    const itemValues = getFacetValues(item, field);
+    return values.some(value => itemValues.includes(value));
+  });
+}
+
+function applyFacetFilters(results, selectedFacets) {
+  return results.filter(item => matchesFacets(item, selectedFacets));
+}
+
+// Live counts per facet value. Each group is counted against the selections in
+// the other groups only, so picking a value never zeroes out its siblings.
+function buildFacets(results, facetFields, selectedFacets = {}) {
+  return facetFields
+    .map(field => {
+      const counts = new Map();
+      results.forEach(item => {
+        if (!matchesFacets(item, selectedFacets, field)) return;
+        new Set(getFacetValues(item, field)).forEach(value => {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        });
+      });
+      (selectedFacets[field] || []).forEach(value => {
+        if (!counts.has(value)) counts.set(value, 0);
+      });
+
+      const values = [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+      return { field, values };
+    })
+    // A group with a single value cannot narrow anything down
+    .filter(facet => facet.values.length > 1 || (selectedFacets[facet.field] || []).length > 0);
+}
+
+function renderFacetBar(container, facets, selectedFacets, onToggle, t = translateDefault) {
+  container.innerHTML = '';
+  container.style.display = facets.length > 0 ? '' : 'none';
+
+  facets.forEach(({ field, values }) => {
+    const group = document.createElement('div');
+    group.className = 'search-facet-group';
+    group.setAttribute('role', 'group');
+
+    const label = document.createElement('span');
+    label.className = 'search-facet-label';
+    label.textContent = getFacetLabel(field, t);
+    group.setAttribute('aria-label', label.textContent);
+    group.appendChild(label);
+
+    values.forEach(({ value, count }) => {
+      const isSelected = (selectedFacets[field] || []).includes(value);
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = `search-facet-chip${isSelected ? ' selected' : ''}`;
+      chip.setAttribute('aria-pressed', String(isSelected));
+      chip.textContent = `${getFacetValueLabel(field, value, t)} (${count})`;
+      chip.addEventListener('click', () => onToggle(field, value));
+      group.appendChild(chip);
+    });
+
+    container.appendChild(group);
+  });
+}
+
+// Sort orders offered next to the results. "relevance" keeps the fused server order.
+const SORT_OPTIONS = [
+  { value: 'relevance', message: 'sortRelevance' },
+  { value: 'newest', message: 'sortNewest' },
+  { value: 'oldest', message: 'sortOldest' },
+  { value: 'title', message: 'sortTitle' },
+];
+const DEFAULT_SORT_DATE_FIELDS = ['publishedOn', 'createdOn', 'lastPublished', 'lastUpdated', 'updatedOn'];
+
+function getResultTimestamp(item, dateField) {
+  const fields = dateField ? [dateField, ...DEFAULT_SORT_DATE_FIELDS] : DEFAULT_SORT_DATE_FIELDS;
+  for (const field of fields) {
+    if (!item[field]) continue;
+    const timestamp = new Date(item[field]).getTime();
+    if (!isNaN(timestamp)) return timestamp;
+  }
+  return null;
+}
+
+// Returns a sorted copy; undated items always sink to the end for date orders
+function sortResults(results, sortOrder = 'relevance', dateField = '') {
+  if (sortOrder === 'title') {
+    return [...results].sort((a, b) =>
+      getResultTitle(a).localeCompare(getResultTitle(b), undefined, { sensitivity: 'base', numeric: true })
+    );
+  }
+
+  if (sortOrder === 'newest' || sortOrder === 'oldest') {
+    const direction = sortOrder === 'newest' ? -1 : 1;
+    return results
+      .map(item => ({ item, timestamp: getResultTimestamp(item, dateField) }))
+      .sort((a, b) => {
+        if (a.timestamp === null || b.timestamp === null) {
+          return (a.timestamp === null) - (b.timestamp === null);
+        }
+        return (a.timestamp - b.timestamp) * direction;
+      })
+      .map(entry => entry.item);
+  }
+
+  return results;
+}
+
+function renderSortControl(container, sortOrder, onChange, t = translateDefault) {
+  container.innerHTML = '';
+
+  const label = document.createElement('label');
+  label.className = 'search-sort-label';
+  label.textContent = `${t('sortBy')} `;
+
+  const select = document.createElement('select');
+  select.className = 'search-sort-select';
+  SORT_OPTIONS.forEach(option => {
+    const optionEl = document.createElement('option');
+    optionEl.value = option.value;
+    optionEl.textContent = t(option.message);
+    select.appendChild(optionEl);
+  });
+  select.value = sortOrder;
+  select.addEventListener('change', () => onChange(select.value));
+
+  label.appendChild(select);
+  container.appendChild(label);
+}
+
+// Custom card and state markup. A source is either a <template> element or a
+// designer-built element that is cloned for each use. Inside it, `{{field}}`
+// placeholders (in text or attributes) and `data-ufs-field="title|snippet|image|url|<fieldName>"`
+// attributes are filled with escaped values; title, snippet and content keep their highlights.
+const TEMPLATE_PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const HIGHLIGHTED_CARD_FIELDS = ['title', 'snippet', 'content'];
+// Templated attributes holding a URL, or (srcset) a list of URLs with descriptors.
+// Event handlers, srcdoc and style can run code or load content whatever the URL
+// checks say, so placeholders in them are refused outright.
+const URL_ATTRIBUTES = [
+  'href', 'xlink:href', 'src', 'action', 'formaction', 'poster', 'background', 'cite',
+  'data', 'codebase', 'longdesc', 'lowsrc', 'dynsrc', 'manifest', 'ping', 'icon',
+];
+const SRCSET_ATTRIBUTES = ['srcset', 'imagesrcset'];
+const REFUSED_TEMPLATE_ATTRIBUTE = /^(on.*|srcdoc|style)$/i;
+
+// Each image candidate sanitized on its own; unsafe or malformed ones are dropped.
+// Candidates are read as browsers read them: a URL may itself contain commas (data:)
+// and only a comma after its descriptors ends a candidate.
+const SRCSET_DESCRIPTOR = /^(\d+w|\d+(\.\d+)?x)$/;
+
+function sanitizeSrcset(value) {
+  const candidates = [];
+  let rest = String(value);
+  let match;
+  while ((match = rest.match(/^[\s,]*(\S+)/))) {
+    rest = rest.slice(match[0].length);
+    let url = match[1];
+    let descriptors = [];
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      const end = rest.indexOf(',');
+      descriptors = (end === -1 ? rest : rest.slice(0, end)).trim().split(/\s+/).filter(Boolean);
+      rest = end === -1 ? '' : rest.slice(end + 1);
+    }
+    const safeUrl = sanitizeUrl(url, { fallback: '', allowDataImages: true });
+    if (safeUrl && descriptors.every(descriptor => SRCSET_DESCRIPTOR.test(descriptor))) {
+      candidates.push([safeUrl, ...descriptors].join(' '));
+    }
+  }
+  return candidates.join(', ');
+}
+
+function sanitizeTemplateAttribute(name, value) {
+  const attributeName = name.toLowerCase();
+  if (SRCSET_ATTRIBUTES.includes(attributeName)) return sanitizeSrcset(value);
+  if (!URL_ATTRIBUTES.includes(attributeName)) return value;
+  const isImage = attributeName === 'src' || attributeName === 'poster';
+  return sanitizeUrl(value, { fallback: isImage ? '' : '#', allowDataImages: isImage });
+}
+
+function cloneTemplateContent(source) {
+  if (source instanceof HTMLTemplateElement) {
+    return source.content.cloneNode(true);
+  }
+  const clone = source.cloneNode(true);
+  clone.removeAttribute('data-ufs-template');
+  clone.removeAttribute('hidden');
+  clone.style.removeProperty('display');
+  const fragment = document.createDocumentFragment();
+  fragment.appendChild(clone);
+  return fragment;
+}
+
+function htmlToFragment(html) {
+  const holder = document.createElement('template');
+  holder.innerHTML = html;
+  return holder.content;
+}
+
+// `resolveField(name)` returns `{ text, html?, alt? }`; `html` must already be escaped
+function fillTemplate(fragment, resolveField) {
+  const textNodes = [];
+  const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    if (walker.currentNode.nodeValue.includes('{{')) textNodes.push(walker.currentNode);
+  }
+
+  textNodes.forEach(node => {
+    // split() with the capturing placeholder pattern alternates literal text and field names
+    const html = node.nodeValue
+      .split(TEMPLATE_PLACEHOLDER)
+      .map((part, i) => {
+        if (i % 2 === 0) return escapeHtml(part);
+        const value = resolveField(part);
+        return value.html ?? escapeHtml(value.text);
+      })
+      .join('');
+    node.replaceWith(htmlToFragment(html));
+  });
+
+  fragment.querySelectorAll('*').forEach(el => {
+    [...el.attributes].forEach(attr => {
+      if (!attr.value.includes('{{')) return;
+      if (REFUSED_TEMPLATE_ATTRIBUTE.test(attr.name)) {
+        el.removeAttribute(attr.name);
+        return;
+      }
+      const value = attr.value.replace(TEMPLATE_PLACEHOLDER, (match, name) => resolveField(name).text);
+      attr.value = sanitizeTemplateAttribute(attr.name, value);
+    });
+  });
+
+  fragment.querySelectorAll('[data-ufs-field]').forEach(el => {
+    const field = el.getAttribute('data-ufs-field');
+    const value = resolveField(field);
+
+    if (field === 'image') {
+      const imageUrl = sanitizeUrl(value.text, { fallback: '', allowDataImages: true });
+      if (!imageUrl) {
+        el.hidden = true;
+      } else if (el.tagName === 'IMG') {
+        el.setAttribute('src', imageUrl);
+        el.setAttribute('alt', value.alt || '');
+        el.removeAttribute('srcset');
+      } else {
+        el.style.backgroundImage = `url("${imageUrl.replace(/["\\]/g, '\\$&')}")`;
+      }
+      return;
+    }
+
+    if (field === 'url' && el.tagName === 'A') {
+      el.setAttribute('href', sanitizeUrl(value.text));
+      return;
+    }
+
+    if (!value.text) {
+      el.hidden = true;
+    } else if (value.html !== undefined) {
+      el.innerHTML = value.html;
+    } else {
+      el.textContent = value.text;
+    }
+  });
+
+  return fragment;
+}
+
+// Single element for a result card; `card` holds the values renderResultsFast displays
+function renderTemplateCard(source, card, searchQuery, index) {
+  const fragment = fillTemplate(cloneTemplateContent(source), (name) => {
+    if (name === 'image') {
+      return { text: card.image ? getImageUrl(card.image) : '', alt: card.image?.alt || card.title };
+    }
+    if (name === 'position') return { text: String(card.position) };
+    if (HIGHLIGHTED_CARD_FIELDS.includes(name) || name === 'url') {
+      const text = card[name] || '';
+      return HIGHLIGHTED_CARD_FIELDS.includes(name) ? { text, html: highlightKeywords(text, searchQuery) } : { text };
+    }
+    const raw = card.item[name];
+    if (typeof raw === 'string') return { text: htmlToText(raw) };
+    if (typeof raw === 'number' || typeof raw === 'boolean') return { text: String(raw) };
+    return { text: '' };
+  });
+
+  let cardEl = fragment.firstElementChild;
+  if (!cardEl || fragment.children.length > 1) {
+    cardEl = document.createElement('div');
+    cardEl.appendChild(fragment);
+  }
+  cardEl.classList.add('search-result-item', 'custom-card');
+  cardEl.setAttribute('data-item-index', String(index));
+  cardEl.querySelectorAll('a').forEach(link => link.setAttribute('data-item-index', String(index)));
+  cardEl.querySelectorAll('[data-ufs-action="read-more"]').forEach(btn => {
+    btn.classList.add('read-more-btn');
+    btn.setAttribute('data-item-index', String(index));
+  });
+  return cardEl;
+}
+
+// Markup for an empty/loading/error state: the custom source when given, else `fallbackHtml`
+function renderStateTemplate(source, fallbackHtml, values = {}) {
+  if (!source) return fallbackHtml;
+  const holder = document.createElement('div');
+  holder.appendChild(fillTemplate(cloneTemplateContent(source), (name) => ({ text: values[name] ?? '' })));
+  return holder.innerHTML;
+}
+
+// Infinite mode watches a sentinel after the last card
+const INFINITE_SCROLL_MARGIN = '200px';
+
+// Observers and scroll listeners of the results rendered into a container; they are
+// released before the container is rendered again or its widget is destroyed
+const resultsCleanups = new WeakMap();
+
+function addResultsCleanup(container, cleanup) {
+  if (!resultsCleanups.has(container)) resultsCleanups.set(container, []);
+  resultsCleanups.get(container).push(cleanup);
+}
+
+function cleanupResults(container) {
+  const cleanups = resultsCleanups.get(container);
+  if (cleanups) {
+    resultsCleanups.delete(container);
+    cleanups.forEach(cleanup => cleanup());
+  }
+}
+
+// Long lists keep only the cards near the viewport in the DOM. Rows are assumed to be
+// as tall as the rendered ones on average; spacers stand in for the rest.
+const VIRTUAL_LIST_THRESHOLD = 100;
+const VIRTUAL_BUFFER_ROWS = 5;
+const VIRTUAL_ROW_ESTIMATE = 200;
+
+// `renderItems(from, to)` returns the markup of cards [from, to). Returns
+// `{ setCount, destroy }`; setCount re-renders after items were added.
+function createVirtualList(wrapper, { count, columns = 1, renderItems }) {
+  let itemCount = count;
+  let rowHeight = 0;
+  let range = null;
+  let frame = null;
+  const topSpacer = document.createElement('div');
+  const bottomSpacer = document.createElement('div');
+  [topSpacer, bottomSpacer].forEach(spacer => {
+    spacer.className = 'virtual-spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+  });
+  wrapper.classList.add('virtualized');
+
+  const render = () => {
+    frame = null;
+    const rowCount = Math.ceil(itemCount / columns);
+    const estimate = rowHeight || VIRTUAL_ROW_ESTIMATE;
+    const top = wrapper.getBoundingClientRect().top;
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight || 800;
+    const firstRow = Math.min(rowCount, Math.max(0, Math.floor(-top / estimate) - VIRTUAL_BUFFER_ROWS));
+    const lastRow = Math.min(rowCount, Math.max(firstRow + VIRTUAL_BUFFER_ROWS, Math.ceil((viewportHeight - top) / estimate) + VIRTUAL_BUFFER_ROWS));
+    const from = firstRow * columns;
+    const to = Math.min(itemCount, lastRow * columns);
+    if (range && range.from === from && range.to === to) return;
+    range = { from, to };
+
+    // Keyboard focus survives the swap when its card is still in range; focusing a
+    // card scrolls it into view, which moves the range along with Tab
+    const focused = wrapper.contains(document.activeElement) ? document.activeElement : null;
+    const focusedIndex = focused ? focused.getAttribute('data-item-index') : null;
+    const focusedSelector = focused && focused.classList.contains('read-more-btn') ? '.read-more-btn' : 'a';
+
+    wrapper.innerHTML = renderItems(from, to);
+    wrapper.prepend(topSpacer);
+    wrapper.append(bottomSpacer);
+
+    const renderedRows = Math.ceil((to - from) / columns);
+    const renderedHeight = bottomSpacer.getBoundingClientRect().top - topSpacer.getBoundingClientRect().bottom;
+    if (renderedRows > 0 && renderedHeight > 0) {
+      rowHeight = renderedHeight / renderedRows;
+    }
+    const height = rowHeight || VIRTUAL_ROW_ESTIMATE;
+    topSpacer.style.height = `${firstRow * height}px`;
+    bottomSpacer.style.height = `${(rowCount - lastRow) * height}px`;
+
+    if (focusedIndex !== null) {
+      const target = wrapper.querySelector(`${focusedSelector}[data-item-index="${focusedIndex}"]`);
+      if (target) target.focus({ preventScroll: true });
+    }
+  };
+
+  const schedule = () => {
+    if (frame === null) frame = requestAnimationFrame(render);
+  };
+  window.addEventListener('scroll', schedule, { passive: true });
+  window.addEventListener('resize', schedule);
+  render();
+
+  return {
+    setCount(nextCount) {
+      itemCount = nextCount;
+      range = null;
+      render();
+    },
+    destroy() {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) cancelAnimationFrame(frame);
+    },
+  };
+}
+
+// Ultra-fast rendering with FIXED pagination and optimized content display
+// `options.totalCount` is the backend's hit count when `results` is only the loaded
+// window; `options.fetchMore(count)` loads further batches and resolves with
+// `{ results, totalCount }` once at least `count` items (or everything) are loaded.
+// `options.onReadMore(item)` replaces the default read-more overlay.
+// `options.onResultClick(item, position)` and `options.onPageChange(detail)` report
+// navigation; `options.decorateCard(card)` may rewrite each card's displayed values and
+// `options.cardTemplate` replaces the built-in Grid/List card markup.
+// "Load More" and "Infinite" show the first `maxItems` cards and then append
+// `options.pageSize` (default `maxItems`) more per click or scroll, fetching as needed.
+// Past VIRTUAL_LIST_THRESHOLD cards the list is windowed unless `options.virtualize` is false.
+// `options.t` (see createTranslator) supplies the button and label text.
+// Colors, fonts and spacing come from the --ufs-* custom properties (see
+// buildSearchStyles); `styles` is only passed through to re-renders.
+function renderResultsFast(results, title, displayMode, maxItems, gridColumns = 3, paginationType = "None", container, currentPage = 1, isPageResult = true, styles = {}, selectedFieldsDisplay = [], searchQuery = '', options = {}) {
+  if (!Array.isArray(results) || results.length === 0) return "";
+  
+  const {
+    totalCount = results.length,
+    fetchMore = null,
+    onReadMore = null,
+    onResultClick = null,
+    onPageChange = null,
+    decorateCard = null,
+    cardTemplate = null,
+    pageSize = null,
+    virtualize = true,
+    t = translateDefault,
+    // Query used for highlights and snippets (see buildHighlightQuery)
+    highlightQuery = searchQuery,
+  } = options;
+  const totalItems = Math.max(results.length, totalCount || 0);
+  const totalPages = maxItems ? Math.ceil(totalItems / maxItems) : 1;
+  currentPage = Math.max(1, Math.min(currentPage, totalPages));
+  
+  const startIndex = maxItems ? (currentPage - 1) * maxItems : 0;
+  const endIndex = maxItems ? startIndex + maxItems : results.length;
+  
+  // The requested page reaches past the loaded window: load more, then render again
+  const neededCount = Math.min(endIndex, totalItems);
+  if (fetchMore && container && neededCount > results.length) {
+    const renderLoaded = (loaded) => {
+      // null: a newer search has replaced these results
+      if (!loaded) return;
+      const grew = loaded.results.length > results.length;
+      const nextResults = grew ? loaded.results : results;
+      const nextOptions = grew
+        ? { ...options, totalCount: loaded.totalCount }
+        : { ...options, totalCount: results.length, fetchMore: null };
+      renderResultsFast(nextResults, title, displayMode, maxItems, gridColumns, paginationType, container, currentPage, isPageResult, styles, selectedFieldsDisplay, searchQuery, nextOptions);
+    };
+    fetchMore(neededCount).then(renderLoaded).catch((error) => {
+      if (error.name === 'AbortError') return;
+      console.error('❌ Failed to load more results:', error);
+      // Show the last loaded page; the total and fetchMore stay, so the page can be retried
+      const lastLoadedPage = Math.max(1, Math.ceil(results.length / maxItems));
+      renderResultsFast(results, title, displayMode, maxItems, gridColumns, paginationType, container, lastLoadedPage, isPageResult, styles, selectedFieldsDisplay, searchQuery, options);
+    });
+    return "";
+  }
+  
+  const pagedResults = results.slice(startIndex, endIndex);
+  
+  if (container) {
+    const existingPagination = container.querySelector('.pagination');
+    if (existingPagination) {
+      existingPagination.remove();
+    }
+  }
+  
+  const getResponsiveGridColumns = () => {
+    const screenWidth = window.innerWidth || 1200;
+    const maxColumns = Math.max(1, Math.min(gridColumns || 3, 6));
+    
+    if (screenWidth <= 480) return 1;
+    if (screenWidth <= 675) return 1;
+    if (screenWidth <= 768) return Math.min(maxColumns, 2);
+    if (screenWidth <= 1024) return Math.min(maxColumns, 3);
+    if (screenWidth <= 1440) return Math.min(maxColumns, 4);
+    return maxColumns;
+  };
+  
+  const responsiveGridColumns = getResponsiveGridColumns();
+  
+  // `index` counts from startIndex, so cards appended by Load More/Infinite continue it
+  const renderCard = (item, index) => {
+    // Better title extraction with more field options
+    let titleText = getResultTitle(item, t);
+    let resultUrl = getResultUrl(item);
+    
+    // Get content from selected fields only
+    let contentSnippet = '';
+    let fullContent = '';
+    
+    // Use selectedFieldsDisplay if provided, otherwise show all fields
+    const fieldsToShow = selectedFieldsDisplay.length > 0 ? selectedFieldsDisplay : Object.keys(item);
+    
+    // Extract content from selected fields
+    for (const field of fieldsToShow) {
+      if (item[field] && typeof item[field] === 'string' && item[field].trim()) {
+        const cleanContent = htmlToText(item[field]); // Strip HTML
+        if (cleanContent.length > 20) {
+          contentSnippet = extractContentSnippet(cleanContent, highlightQuery, 150);
+          fullContent = cleanContent;
+          break;
+        }
+      }
+    }
+    
+    // Fallback to any text field if no selected fields found
+    if (!contentSnippet) {
+      for (const [key, value] of Object.entries(item)) {
+        if (typeof value === 'string' && value.length > 20 && !['name', 'title', 'slug', 'url', 'id'].includes(key)) {
+          const cleanContent = htmlToText(value);
+          contentSnippet = extractContentSnippet(cleanContent, highlightQuery, 150);
+          fullContent = cleanContent;
+          break;
+        }
+      }
+    }
+    
+    // Final fallback
+    if (!contentSnippet && searchQuery) {
+      contentSnippet = t('foundResultsFor', { query: searchQuery });
+      fullContent = contentSnippet;
+    }
+    
+    // Get primary image
+    let primaryImage = getPrimaryImage(item);
+    
+    // Card middleware may rewrite any of the displayed values; they are escaped below
+    let card = {
+      item,
+      position: startIndex + index + 1,
+      title: titleText,
+      url: resultUrl,
+      snippet: contentSnippet,
+      content: fullContent,
+      image: primaryImage,
+    };
+    if (decorateCard) {
+      card = decorateCard(card);
+      ({ title: titleText, url: resultUrl, snippet: contentSnippet, content: fullContent, image: primaryImage } = card);
+    }
+    
+    if (cardTemplate) {
+      return renderTemplateCard(cardTemplate, card, highlightQuery, index).outerHTML;
+    }
+    
+    const detailUrl = escapeHtml(sanitizeUrl(resultUrl));
+    
+    // Highlight keywords
+    const highlightedTitle = highlightKeywords(titleText, highlightQuery);
+    const highlightedContent = highlightKeywords(contentSnippet, highlightQuery);
+    const highlightedFullContent = highlightKeywords(fullContent, highlightQuery);
+    
+    // Build content display with read more functionality
+    let contentHtml = '';
+    
+    if (highlightedContent) {
+      contentHtml += `<div class="content-preview">${highlightedContent}</div>`;
+      
+      // Always add read more button for debugging and functionality
+      contentHtml += `<button class="read-more-btn" data-item-index="${index}">${escapeHtml(t('readMore'))}</button>`;
+    }
+    
+    // Add primary image if available
+    const imageUrl = primaryImage ? sanitizeUrl(getImageUrl(primaryImage), { fallback: '', allowDataImages: true }) : '';
+    if (imageUrl) {
+      const imageAlt = primaryImage.alt || titleText;
+      contentHtml += `<img class="search-result-image" src="${escapeHtml(imageUrl)}" alt="${escapeHtml(imageAlt)}">`;
+    }
+    
+    if (displayMode === "Grid") {
+      return `
+        <a href="${detailUrl}" target="_blank" class="search-result-link" data-item-index="${index}">
+          <div class="search-result-item grid-item">
+            <div class="search-result-body">
+              <h4 class="search-result-title">
+                ${highlightedTitle}
+              </h4>
+              <div class="search-result-content">
+                ${contentHtml}
+              </div>
+            </div>
+          </div>
+        </a>
+      `;
+    } else {
+      return `
+        <div class="search-result-item list-item">
+          <a href="${detailUrl}" target="_blank" class="search-result-title" data-item-index="${index}">
+            ${highlightedTitle}
+          </a>
+          <div class="search-result-content">
+            ${contentHtml}
+          </div>
+        </div>
+      `;
+    }
+  };
+  const virtual = Boolean(virtualize && container && pagedResults.length > VIRTUAL_LIST_THRESHOLD);
+  const itemsHtml = virtual ? '' : pagedResults.map(renderCard).join("");
+  
+  // FIXED PAGINATION
+  let paginationHtml = "";
+  if (paginationType === "Numbered" && totalPages > 1) {
+    paginationHtml = `<div class="pagination" id="search-pagination-${Date.now()}">`;
+    
+    if (currentPage > 1) {
+      paginationHtml += `<button class="pagination-button prev-button" data-page="${currentPage - 1}" aria-label="${escapeHtml(t('previousPage'))}"><span class="pagination-arrow" aria-hidden="true">←</span></button>`;
+    }
+    
+    const maxVisiblePages = Math.min(7, totalPages);
+    let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2));
+    let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1);
+    
+    if (endPage - startPage < maxVisiblePages - 1) {
+      startPage = Math.max(1, endPage - maxVisiblePages + 1);
+    }
+    
+    if (startPage > 1) {
+      paginationHtml += `<button class="pagination-button" data-page="1">1</button>`;
+      if (startPage > 2) {
+        paginationHtml += `<span class="pagination-ellipsis">...</span>`;
+      }
+    }
+    
+    for (let i = startPage; i <= endPage; i++) {
+      const isCurrentPage = i === currentPage;
+      paginationHtml += `<button class="pagination-button ${isCurrentPage ? 'current-page' : ''}" data-page="${i}">${i}</button>`;
+    }
+    
+    if (endPage < totalPages) {
+      if (endPage < totalPages - 1) {
+        paginationHtml += `<span class="pagination-ellipsis">...</span>`;
+      }
+      paginationHtml += `<button class="pagination-button" data-page="${totalPages}">${totalPages}</button>`;
+    }
+    
+    if (currentPage < totalPages) {
+      paginationHtml += `<button class="pagination-button next-button" data-page="${currentPage + 1}" aria-label="${escapeHtml(t('nextPage'))}"><span class="pagination-arrow" aria-hidden="true">→</span></button>`;
+    }
+    
+    paginationHtml += `</div>`;
+  }
+
+  // Load More and Infinite grow the list in place from here on
+  const appendable = paginationType === "Load More" || paginationType === "Infinite";
+  const canObserve = typeof IntersectionObserver === 'function';
+  if (appendable && endIndex < totalItems) {
+    paginationHtml += paginationType === "Infinite" && canObserve
+      ? `<div class="search-results-sentinel" aria-hidden="true"></div>`
+      : `<div class="load-more-container"><button class="load-more-button">${escapeHtml(t('loadMore'))}</button></div>`;
+  }
+  
+  const modeClass = displayMode === 'Grid' ? 'grid-mode' : 'list-mode';
+  const sectionHtml = `
+    <section class="search-results-section ${modeClass}">
+      <div class="search-results-wrapper ${modeClass}" style="--ufs-grid-columns: ${responsiveGridColumns};">
+        ${itemsHtml}
+      </div>
+      ${paginationHtml}
+    </section>
+  `;
+  
+  if (container) {
+    cleanupResults(container);
+    container.innerHTML = sectionHtml;
+    const section = container.querySelector('.search-results-section');
+    const wrapper = container.querySelector('.search-results-wrapper');
+    
+    // Appending may replace the loaded results with a longer array, so look items up lazily
+    let loadedResults = results;
+    let loadedTotal = totalItems;
+    let shownEnd = startIndex + pagedResults.length;
+    const getItem = (el) => loadedResults[startIndex + parseInt(el.getAttribute('data-item-index'), 10)];
+    
+    let virtualList = null;
+    const startVirtualList = () => {
+      virtualList = createVirtualList(wrapper, {
+        count: shownEnd - startIndex,
+        columns: displayMode === 'Grid' ? responsiveGridColumns : 1,
+        renderItems: (from, to) => loadedResults
+          .slice(startIndex + from, startIndex + to)
+          .map((item, i) => renderCard(item, from + i))
+          .join(''),
+      });
+      addResultsCleanup(container, () => virtualList.destroy());
+    };
+    if (virtual) startVirtualList();
+    
+    // Delegated so appended and virtualized cards work without binding each one
+    section.addEventListener('click', (e) => {
+      const btn = e.target.closest('.read-more-btn');
+      if (btn && section.contains(btn)) {
+        e.preventDefault();
+        e.stopPropagation();
+        const item = getItem(btn);
+        console.log('🔍 Read more clicked for item:', btn.getAttribute('data-item-index'), item);
+        if (onReadMore) {
+          onReadMore(item);
+        } else {
+          showReadMoreOverlay(item, highlightQuery, styles, selectedFieldsDisplay, t);
+        }
+        return;
+      }
+      
+      const link = e.target.closest('a[data-item-index]');
+      if (link && onResultClick && section.contains(link)) {
+        const itemIndex = parseInt(link.getAttribute('data-item-index'), 10);
+        onResultClick(loadedResults[startIndex + itemIndex], startIndex + itemIndex + 1);
+      }
+    });
+    
+    if (paginationType === "Numbered") {
+      const paginationButtons = container.querySelectorAll('.pagination-button');
+      paginationButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+          const page = parseInt(btn.getAttribute('data-page'));
+          console.log(`Pagination clicked: page ${page}`);
+          if (onPageChange) onPageChange({ page, paginationType });
+          renderResultsFast(results, title, displayMode, maxItems, gridColumns, paginationType, container, page, isPageResult, styles, selectedFieldsDisplay, searchQuery, options);
+        });
+      });
+    }
+
+    if (appendable && shownEnd < loadedTotal) {
+      const loadBtn = container.querySelector('.load-more-button');
+      const sentinel = container.querySelector('.search-results-sentinel');
+      let appending = null;
+      let observer = null;
+      
+      // Add the next page of cards, loading it from the server first when needed
+      const appendNextPage = () => {
+        if (appending) return appending;
+        const target = Math.min(shownEnd + (pageSize || maxItems), loadedTotal);
+        let failed = false;
+        const needsFetch = Boolean(fetchMore) && target > loadedResults.length;
+        const loaded = needsFetch
+          ? fetchMore(target).catch((error) => {
+            if (error.name !== 'AbortError') console.error('❌ Failed to load more results:', error);
+            failed = true;
+            return null;
+          })
+          : Promise.resolve(null);
+        
+        appending = loaded.then((more) => {
+          // A failed fetch keeps the button (and the observed sentinel, which fires again
+          // once scrolled back into view) for a retry; null means a newer search took over
+          if (!section.isConnected || failed || (needsFetch && !more)) return;
+          if (more && more.results.length > loadedResults.length) {
+            loadedResults = more.results;
+            loadedTotal = Math.max(loadedResults.length, more.totalCount || 0);
+          } else if (target > loadedResults.length) {
+            // The server has nothing further; stop at what is loaded
+            loadedTotal = loadedResults.length;
+          }
+          
+          const nextItems = loadedResults.slice(shownEnd, Math.min(target, loadedTotal));
+          const firstNew = shownEnd - startIndex;
+          shownEnd += nextItems.length;
+          if (virtualList) {
+            virtualList.setCount(shownEnd - startIndex);
+          } else if (virtualize && shownEnd - startIndex > VIRTUAL_LIST_THRESHOLD) {
+            // The list has grown long enough to window from now on
+            startVirtualList();
+          } else {
+            wrapper.insertAdjacentHTML('beforeend', nextItems.map((item, i) => renderCard(item, firstNew + i)).join(''));
+          }
+          if (onPageChange) onPageChange({ page: currentPage, shown: shownEnd, paginationType });
+          
+          if (shownEnd >= loadedTotal) {
+            if (observer) observer.disconnect();
+            const control = loadBtn ? loadBtn.parentNode : sentinel;
+            // Keep keyboard users in the list when the button they pressed goes away
+            const hadFocus = loadBtn && loadBtn === document.activeElement;
+            if (control) control.remove();
+            if (hadFocus) {
+              // A windowed list may not have rendered that far; use its last card then
+              const firstNewLink = wrapper.querySelector(`a[data-item-index="${firstNew}"]`)
+                || [...wrapper.querySelectorAll('a[data-item-index]')].pop();
+              if (firstNewLink) firstNewLink.focus();
+            }
+          } else if (observer) {
+            // Re-observing reports the sentinel again if it is still in view
+            observer.unobserve(sentinel);
+            observer.observe(sentinel);
+          }
+        }).finally(() => {
+          appending = null;
+        });
+        return appending;
+      };
+      
+      if (loadBtn) {
+        loadBtn.addEventListener('click', () => {
+          console.log('Load more clicked');
+          appendNextPage();
+        });
+      }
+      
+      if (sentinel) {
+        observer = new IntersectionObserver((entries) => {
+          if (entries.some(entry => entry.isIntersecting)) appendNextPage();
+        }, { rootMargin: INFINITE_SCROLL_MARGIN });
+        observer.observe(sentinel);
+        addResultsCleanup(container, () => observer.disconnect());
+      }
+    }
+  }
+  
+  return sectionHtml;
+}
+
+// Read more overlay function. Only one overlay is open at a time across all
+// widgets; returns `{ overlay, close }` so the caller can close it later.
+// It is styled by the --ufs-* custom properties like the result cards; `styles`
+// is accepted for older callers but no longer read.
+let activeReadMoreOverlay = null;
+let readMoreOverlayCount = 0;
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function showReadMoreOverlay(item, searchQuery, styles, selectedFieldsDisplay = null, t = translateDefault) {
+  console.log('🔍 Opening overlay for item:', item);
+  
+  // Focus returns to whatever opened the first dialog (usually the Read More button)
+  const returnFocusTo = activeReadMoreOverlay ? activeReadMoreOverlay.returnFocusTo : document.activeElement;
+  
+  // Remove existing overlay if any
+  if (activeReadMoreOverlay) {
+    activeReadMoreOverlay.close({ restoreFocus: false });
+  }
+  
+  const titleText = getResultTitle(item, t);
+  const detailUrl = escapeHtml(sanitizeUrl(getResultUrl(item)));
+  
+  // Get full content from ALL selected fields
+  let fullContent = '';
+  if (!selectedFieldsDisplay) {
+    selectedFieldsDisplay = JSON.parse(document.querySelector('#search-config')?.getAttribute('data-selected-fields-display') || '[]');
+  }
+  const fieldsToShow = selectedFieldsDisplay.length > 0 ? selectedFieldsDisplay : Object.keys(item);
+  
+  console.log('🔍 Overlay - Selected fields to display:', fieldsToShow);
+  
+  // Collect content from ALL selected fields
+  const allFieldContent = [];
+  
+  for (const field of fieldsToShow) {
+    if (item[field] && typeof item[field] === 'string' && item[field].trim()) {
+      const cleanContent = htmlToText(item[field]);
+      if (cleanContent.length > 20) {
+        allFieldContent.push({
+          field: field,
+          content: cleanContent
+        });
+        console.log(`📝 Overlay - Found content in field "${field}":`, cleanContent.substring(0, 100) + '...');
+      }
+    }
+  }
+  
+  // Combine all field content with better formatting
+  if (allFieldContent.length > 0) {
+    fullContent = allFieldContent.map(fieldData => 
+      `📋 ${fieldData.field.toUpperCase()}\n${'='.repeat(fieldData.field.length + 4)}\n\n${fieldData.content}`
+    ).join('\n\n' + '─'.repeat(50) + '\n\n');
+  } else {
+    // Fallback to any text field
+    for (const [key, value] of Object.entries(item)) {
+      if (typeof value === 'string' && value.length > 20 && !['name', 'title', 'slug', 'url', 'id'].includes(key)) {
+        fullContent = htmlToText(value);
+        break;
+      }
+    }
+  }
+  
+  // Get all images from the item
+  const allImages = [];
+  if (item.images && Array.isArray(item.images)) {
+    allImages.push(...item.images);
+  } else if (item.images && item.images.url) {
+    allImages.push(item.images);
+  }
+  
+  // Add other image fields
+  for (const [key, value] of Object.entries(item)) {
+    if (typeof value === 'object' && value !== null && value.url && !allImages.some(img => img.url === value.url)) {
+      allImages.push(value);
+    }
+  }
+  
+  const safeImages = allImages
+    .map(img => ({
+      url: sanitizeUrl(getImageUrl(img), { fallback: '', allowDataImages: true }),
+      alt: (img && img.alt) || '',
+    }))
+    .filter(img => img.url);
+  
+  const highlightedTitle = highlightKeywords(titleText, searchQuery);
+  const highlightedContent = highlightKeywords(fullContent, searchQuery);
+  
+  // Best-matching passage across all fields, shown above the full text when the query occurs in it
+  const searchableText = allFieldContent.length > 0
+    ? allFieldContent.map(fieldData => fieldData.content).join(' ')
+    : fullContent;
+  const hasMatches = Boolean(searchQuery) && getQueryMatcher(searchQuery).findMatches(searchableText).length > 0;
+  const highlightedSnippet = hasMatches
+    ? highlightKeywords(extractContentSnippet(searchableText, searchQuery, 240), searchQuery)
+    : '';
+  
+  console.log('🔍 Overlay content:', {
+    title: titleText,
+    fullContent: fullContent.substring(0, 100) + '...',
+    contentLength: fullContent.length,
+    images: allImages.length
+  });
+  
+  // Create overlay: a modal dialog labelled by the result title
+  const dialogId = `read-more-dialog-${++readMoreOverlayCount}`;
+  const overlay = document.createElement('div');
+  overlay.className = 'read-more-overlay ufs-theme';
+  
+  const content = document.createElement('div');
+  content.className = 'content';
+  content.setAttribute('role', 'dialog');
+  content.setAttribute('aria-modal', 'true');
+  content.setAttribute('aria-labelledby', `${dialogId}-title`);
+  content.tabIndex = -1;
+  
+  content.innerHTML = `
+    <button type="button" class="close-overlay" aria-label="${escapeHtml(t('close'))}">×</button>
+    
+    <h2 class="read-more-title" id="${dialogId}-title">${highlightedTitle}</h2>
+    
+    ${highlightedSnippet ? `<p class="read-more-snippet">${highlightedSnippet}</p>` : ''}
+    
+    ${safeImages.map(img => `
+      <img class="read-more-image" src="${escapeHtml(img.url)}" alt="${escapeHtml(img.alt)}">
+    `).join('')}
+    
+    <div class="read-more-text">${highlightedContent}</div>
+    
+    <div class="read-more-actions">
+      <a href="${detailUrl}" target="_blank" class="read-more-link">${escapeHtml(t('viewFullPage'))}</a>
+    </div>
+  `;
+  
+  overlay.appendChild(content);
+  document.body.appendChild(overlay);
+  
+  // Close overlay functionality; every way of closing also drops the document listeners
+  const handle = {
+    overlay,
+    returnFocusTo,
+    close({ restoreFocus = true } = {}) {
+      if (!overlay.isConnected) return;
+      overlay.remove();
+      document.removeEventListener('keydown', handleKeydown);
+      document.removeEventListener('focusin', handleFocusIn);
+      if (activeReadMoreOverlay === handle) {
+        activeReadMoreOverlay = null;
+      }
+      if (restoreFocus && returnFocusTo && returnFocusTo.isConnected && typeof returnFocusTo.focus === 'function') {
+        returnFocusTo.focus();
+      }
+    }
+  };
+  
+  const closeBtn = content.querySelector('.close-overlay');
+  closeBtn.addEventListener('click', () => {
+    handle.close();
+  });
+  
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      handle.close();
+    }
+  });
+  
+  // Close on escape key; Tab and Shift+Tab wrap around inside the dialog
+  const handleKeydown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      handle.close();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    
+    const focusable = [...content.querySelectorAll(FOCUSABLE_SELECTOR)];
+    if (focusable.length === 0) {
+      e.preventDefault();
+      content.focus();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const outside = !content.contains(document.activeElement);
+    if (e.shiftKey && (outside || document.activeElement === first || document.activeElement === content)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (outside || document.activeElement === last)) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+  
+  // Pull focus back if it escapes the dialog some other way
+  const handleFocusIn = (e) => {
+    if (!content.contains(e.target)) {
+      content.focus();
+    }
+  };
+  
+  document.addEventListener('keydown', handleKeydown);
+  document.addEventListener('focusin', handleFocusIn);
+  content.focus();
+  
+  activeReadMoreOverlay = handle;
+  return handle;
+}
+
+// Token management
+async function getOrCreateVisitorId() {
+  let visitorId = localStorage.getItem('visitorId');
+  if (!visitorId) {
+    visitorId = crypto.randomUUID();
+    localStorage.setItem('visitorId', visitorId);
+  }
+  return visitorId;
+}
+
+function isTokenExpired(token) {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1]));
+    return payload.exp && payload.exp < Math.floor(Date.now() / 1000);
+  } catch (e) {
+    return true;
+  }
+}
+
+// A token is only good for the server that issued it, so each base URL keeps its own
+function getVisitorTokenKey(backend) {
+  return `visitorSessionToken:${backend.baseUrl || ''}`;
+}
+
+async function getVisitorSessionToken(backend = getSearchBackend()) {
+  try {
+    const tokenKey = getVisitorTokenKey(backend);
+    const existingToken = localStorage.getItem(tokenKey);
+    if (existingToken && !isTokenExpired(existingToken)) {
+      console.log("Using existing token from localStorage");
+      return existingToken;
+    }
+
+    const visitorId = await getOrCreateVisitorId();
+    const siteName = window.location.hostname.replace(/^www\./, '').split('.')[0];
+
+    const data = await backend.visitorToken({
+      visitorId,
+      userAgent: navigator.userAgent,
+      siteName,
+    });
+
+    if (!data || !data.token) throw new Error('Failed to fetch visitor session token');
+
+    localStorage.setItem(tokenKey, data.token);
+    return data.token;
+  } catch (error) {
+    console.error('Error getting visitor session token:', error);
+    return null;
+  }
+}
+
+// ===== LOCALIZATION =====
+
+// UI strings per language. Messages use ICU syntax: `{name}` inserts a value and
+// `{count, plural, =0 {...} one {# item} other {# items}}` picks a form with the
+// locale's plural rules (`#` is the formatted number). Values are inserted as text;
+// callers escape the result.
+const MESSAGES = {
+  en: {
+    readMore: 'Read More',
+    viewFullPage: 'View Full Page',
+    loadMore: 'Load More',
+    noResults: 'Your search did not return any results in this topic category.',
+    searchError: 'Error performing search. Please try again later.',
+    resultCount: '{count, plural, one {# result} other {# results}} for “{query}”',
+    foundResultsFor: 'Found results for "{query}"',
+    close: 'Close',
+    previousPage: 'Previous page',
+    nextPage: 'Next page',
+    sortBy: 'Sort by',
+    sortRelevance: 'Relevance',
+    sortNewest: 'Newest',
+    sortOldest: 'Oldest',
+    sortTitle: 'A–Z',
+    facetType: 'Type',
+    facetCollection: 'Collection',
+    typePages: 'Pages',
+    typeCms: 'CMS',
+    typePage: 'Page',
+    recentSearches: 'Recent',
+    clearRecent: 'Clear all',
+    removeRecent: 'Remove {query} from recent searches',
+    suggestions: 'Suggestions',
+    suggestionsLabel: 'Search suggestions',
+    untitled: 'Untitled',
+    otherSuggestions: 'Other',
+    topResults: 'Top results',
+  },
+  fr: {
+    readMore: 'Lire la suite',
+    viewFullPage: 'Voir la page complète',
+    loadMore: 'Charger plus',
+    noResults: 'Votre recherche n’a donné aucun résultat dans cette catégorie.',
+    searchError: 'Erreur lors de la recherche. Veuillez réessayer plus tard.',
+    resultCount: '{count, plural, one {# résultat} other {# résultats}} pour « {query} »',
+    foundResultsFor: 'Résultats trouvés pour « {query} »',
+    close: 'Fermer',
+    previousPage: 'Page précédente',
+    nextPage: 'Page suivante',
+    sortBy: 'Trier par',
+    sortRelevance: 'Pertinence',
+    sortNewest: 'Plus récents',
+    sortOldest: 'Plus anciens',
+    sortTitle: 'A–Z',
+    facetType: 'Type',
+    facetCollection: 'Collection',
+    typePages: 'Pages',
+    typeCms: 'CMS',
+    typePage: 'Page',
+    recentSearches: 'Récentes',
+    clearRecent: 'Tout effacer',
+    removeRecent: 'Retirer {query} des recherches récentes',
+    suggestions: 'Suggestions',
+    suggestionsLabel: 'Suggestions de recherche',
+    untitled: 'Sans titre',
+    otherSuggestions: 'Autres',
+    topResults: 'Meilleurs résultats',
+  },
+  de: {
+    readMore: 'Weiterlesen',
+    viewFullPage: 'Ganze Seite anzeigen',
+    loadMore: 'Mehr laden',
+    noResults: 'Ihre Suche ergab in dieser Kategorie keine Treffer.',
+    searchError: 'Bei der Suche ist ein Fehler aufgetreten. Bitte versuchen Sie es später erneut.',
+    resultCount: '{count, plural, one {# Ergebnis} other {# Ergebnisse}} für „{query}“',
+    foundResultsFor: 'Ergebnisse für „{query}“',
+    close: 'Schließen',
+    previousPage: 'Vorherige Seite',
+    nextPage: 'Nächste Seite',
+    sortBy: 'Sortieren nach',
+    sortRelevance: 'Relevanz',
+    sortNewest: 'Neueste',
+    sortOldest: 'Älteste',
+    sortTitle: 'A–Z',
+    facetType: 'Typ',
+    facetCollection: 'Sammlung',
+    typePages: 'Seiten',
+    typeCms: 'CMS',
+    typePage: 'Seite',
+    recentSearches: 'Zuletzt gesucht',
+    clearRecent: 'Alle löschen',
+    removeRecent: '{query} aus den letzten Suchen entfernen',
+    suggestions: 'Vorschläge',
+    suggestionsLabel: 'Suchvorschläge',
+    untitled: 'Ohne Titel',
+    otherSuggestions: 'Sonstige',
+    topResults: 'Top-Ergebnisse',
+  },
+  ar: {
+    readMore: 'اقرأ المزيد',
+    viewFullPage: 'عرض الصفحة كاملة',
+    loadMore: 'تحميل المزيد',
+    noResults: 'لم يُرجع بحثك أي نتائج في هذه الفئة.',
+    searchError: 'حدث خطأ أثناء البحث. يُرجى المحاولة مرة أخرى لاحقًا.',
+    resultCount: '{count, plural, zero {لا توجد نتائج} one {نتيجة واحدة} two {نتيجتان} few {# نتائج} many {# نتيجة} other {# نتيجة}} عن «{query}»',
+    foundResultsFor: 'نتائج عن «{query}»',
+    close: 'إغلاق',
+    previousPage: 'الصفحة السابقة',
+    nextPage: 'الصفحة التالية',
+    sortBy: 'ترتيب حسب',
+    sortRelevance: 'الصلة',
+    sortNewest: 'الأحدث',
+    sortOldest: 'الأقدم',
+    sortTitle: 'أ–ي',
+    facetType: 'النوع',
+    facetCollection: 'المجموعة',
+    typePages: 'الصفحات',
+    typeCms: 'المحتوى',
+    typePage: 'صفحة',
+    recentSearches: 'عمليات البحث الأخيرة',
+    clearRecent: 'مسح الكل',
+    removeRecent: 'إزالة {query} من عمليات البحث الأخيرة',
+    suggestions: 'اقتراحات',
+    suggestionsLabel: 'اقتراحات البحث',
+    untitled: 'بدون عنوان',
+    otherSuggestions: 'أخرى',
+    topResults: 'أفضل النتائج',
+  },
+};
+const DEFAULT_LOCALE = 'en';
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'ps', 'yi'];
+
+// "fr-CA" uses the "fr" catalog; languages without one fall back to English
+function resolveMessages(locale) {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return { ...MESSAGES[DEFAULT_LOCALE], ...(MESSAGES[language] || {}) };
+}
+
+function isRtlLocale(locale) {
+  return RTL_LANGUAGES.includes(String(locale || '').toLowerCase().split(/[-_]/)[0]);
+}
+
+// Index of the brace closing the one at `open`, or -1
+function findClosingBrace(pattern, open) {
+  let depth = 0;
+  for (let i = open; i < pattern.length; i++) {
+    if (pattern[i] === '{') depth++;
+    else if (pattern[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function selectPluralForm(locale, count) {
+  try {
+    return new Intl.PluralRules(locale).select(count);
+  } catch (e) {
+    return count === 1 ? 'one' : 'other';
+  }
+}
+
+function formatNumber(locale, value) {
+  try {
+    return new Intl.NumberFormat(locale).format(value);
+  } catch (e) {
+    return String(value);
+  }
+}
+
+// `{count, plural, =0 {...} one {...} other {...}}` without the outer braces
+function formatPlural(name, branches, values, locale) {
+  const count = Number(values[name]) || 0;
+  const forms = {};
+  let i = 0;
+  while (i < branches.length) {
+    const open = branches.indexOf('{', i);
+    if (open === -1) break;
+    const close = findClosingBrace(branches, open);
+    if (close === -1) break;
+    forms[branches.slice(i, open).trim()] = branches.slice(open + 1, close);
+    i = close + 1;
+  }
+  const form = forms[`=${count}`] ?? forms[selectPluralForm(locale, count)] ?? forms.other ?? '';
+  return formatMessage(form.replace(/#/g, formatNumber(locale, count)), values, locale);
+}
+
+function formatMessage(pattern, values = {}, locale = DEFAULT_LOCALE) {
+  let text = '';
+  let i = 0;
+  while (i < pattern.length) {
+    const open = pattern.indexOf('{', i);
+    const close = open === -1 ? -1 : findClosingBrace(pattern, open);
+    if (close === -1) {
+      text += pattern.slice(i);
+      break;
+    }
+    text += pattern.slice(i, open);
+
+    const [name, type, ...rest] = pattern.slice(open + 1, close).split(',');
+    const key = name.trim();
+    if (type && type.trim() === 'plural') {
+      text += formatPlural(key, rest.join(','), values, locale);
+    } else {
+      const value = values[key];
+      text += typeof value === 'number' ? formatNumber(locale, value) : (value ?? '');
+    }
+    i = close + 1;
+  }
+  return text;
+}
+
+// Returns `t(key, values)` for `locale`; `overrides` replaces single messages
+function createTranslator(locale = DEFAULT_LOCALE, overrides = {}) {
+  const messages = { ...resolveMessages(locale), ...(overrides || {}) };
+  return (key, values) => formatMessage(messages[key] ?? key, values, locale);
+}
+
+const translateDefault = createTranslator();
+
+// ===== RECENT SEARCHES =====
+
+// Kept per site in localStorage, newest first
+const RECENT_SEARCHES_LIMIT = 8;
+const RECENT_SEARCHES_WHILE_TYPING = 3;
+
+function getRecentSearchesKey(siteName) {
+  return `ufs-recent-searches:${siteName}`;
+}
+
+function getRecentSearches(siteName) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getRecentSearchesKey(siteName)) || '[]');
+    return Array.isArray(stored) ? stored.filter(entry => typeof entry === 'string') : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveRecentSearches(siteName, entries) {
+  try {
+    if (entries.length > 0) {
+      localStorage.setItem(getRecentSearchesKey(siteName), JSON.stringify(entries));
+    } else {
+      localStorage.removeItem(getRecentSearchesKey(siteName));
+    }
+  } catch (e) {
+    console.log('⚠️ Could not store recent searches:', e.message);
+  }
+}
+
+// Re-searching a query moves it to the front; case and accents don't make a new entry
+function addRecentSearch(siteName, query) {
+  const entry = query.trim();
+  if (!entry) return;
+  const key = foldSearchText(entry);
+  const entries = getRecentSearches(siteName).filter(existing => foldSearchText(existing) !== key);
+  saveRecentSearches(siteName, [entry, ...entries].slice(0, RECENT_SEARCHES_LIMIT));
+}
+
+function removeRecentSearch(siteName, query) {
+  saveRecentSearches(siteName, getRecentSearches(siteName).filter(entry => entry !== query));
+}
+
+function clearRecentSearches(siteName) {
+  saveRecentSearches(siteName, []);
+}
+
+// ===== URL STATE =====
+
+// The results view is mirrored in the query string so links and back/forward reopen it:
+//   ?q=cafe&page=2&sort=newest&scope=cms&f.collection=Blog&f.category=News
+// `scope` is the Pages/CMS type filter, `f.<field>` every other facet (repeated for
+// several values). `page` is the Numbered page, or how many pages Load More has shown.
+const URL_FILTER_PREFIX = 'f.';
+const URL_STATE_PARAMS = ['q', 'page', 'sort', 'scope'];
+
+function getFacetUrlParam(field) {
+  return field === FACET_COLLECTION ? 'collection' : field;
+}
+
+function getFacetFieldFromUrlParam(param) {
+  return param === 'collection' ? FACET_COLLECTION : param;
+}
+
+function readUrlState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const selectedFacets = {};
+  const scope = params.getAll('scope').flatMap(value => value.split(',')).filter(Boolean);
+  if (scope.length > 0) selectedFacets[FACET_TYPE] = scope;
+  params.forEach((value, key) => {
+    if (!key.startsWith(URL_FILTER_PREFIX) || !value) return;
+    const field = getFacetFieldFromUrlParam(key.slice(URL_FILTER_PREFIX.length));
+    if (field && field !== FACET_TYPE) selectedFacets[field] = [...(selectedFacets[field] || []), value];
+  });
+
+  const sort = params.get('sort');
+  return {
+    query: (params.get('q') || '').trim(),
+    page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+    sort: SORT_OPTIONS.some(option => option.value === sort) ? sort : null,
+    selectedFacets,
+  };
+}
+
+// Copy of `url` with the results state written over any previous one; other params stay
+function writeUrlState(url, { query, page, sort, defaultSort, selectedFacets }) {
+  const next = new URL(url);
+  URL_STATE_PARAMS.forEach(param => next.searchParams.delete(param));
+  [...next.searchParams.keys()]
+    .filter(key => key.startsWith(URL_FILTER_PREFIX))
+    .forEach(key => next.searchParams.delete(key));
+
+  if (!query) return next;
+  next.searchParams.set('q', query);
+  if (page > 1) next.searchParams.set('page', String(page));
+  if (sort && sort !== defaultSort) next.searchParams.set('sort', sort);
+  Object.entries(selectedFacets).forEach(([field, values]) => {
+    values.forEach(value => {
+      if (field === FACET_TYPE) next.searchParams.append('scope', value);
+      else next.searchParams.append(URL_FILTER_PREFIX + getFacetUrlParam(field), value);
+    });
+  });
+  return next;
+}
+
+// ===== ANALYTICS =====
+
+// Events are queued and sent together: when the queue reaches ANALYTICS_BATCH_SIZE,
+// after ANALYTICS_FLUSH_INTERVAL, and when the page is hidden or unloaded.
+const ANALYTICS_BATCH_SIZE = 20;
+const ANALYTICS_FLUSH_INTERVAL = 5000;
+
+// Search analytics for one widget. Each batch goes to `endpoint` as a JSON POST via
+// navigator.sendBeacon (fetch with keepalive when beacons are unavailable) and/or
+// to `onEvents(events)`, e.g. to forward them to GA or Segment. Every event carries
+// the visitorId used for the session token.
+function createSearchAnalytics({ endpoint = '', onEvents = null, siteName = '', batchSize = ANALYTICS_BATCH_SIZE, flushInterval = ANALYTICS_FLUSH_INTERVAL } = {}) {
+  let queue = [];
+  let flushTimer = null;
+  let visitorId = null;
+
+  getOrCreateVisitorId()
+    .then(id => { visitorId = id; })
+    .catch(() => {});
+
+  function send(events) {
+    if (onEvents) {
+      try {
+        onEvents(events);
+      } catch (error) {
+        console.error('❌ Analytics callback failed:', error);
+      }
+    }
+
+    if (!endpoint) return;
+    const body = JSON.stringify({ siteName, visitorId, events });
+    const sent = typeof navigator.sendBeacon === 'function'
+      && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+    if (!sent) {
+      fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true,
+      }).catch(error => {
+        console.log('⚠️ Analytics delivery failed:', error.message);
+      });
+    }
+  }
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (queue.length === 0) return;
+    const events = queue.map(event => ({ ...event, visitorId: event.visitorId || visitorId }));
+    queue = [];
+    send(events);
+  }
+
+  function track(type, data = {}) {
+    queue.push({
+      type,
+      siteName,
+      visitorId,
+      timestamp: new Date().toISOString(),
+      page: window.location.pathname,
+      ...data,
+    });
+    if (queue.length >= batchSize) {
+      flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushInterval);
+    }
+  }
+
+  const flushWhenHidden = () => {
+    if (document.visibilityState === 'hidden') flush();
+  };
+  document.addEventListener('visibilitychange', flushWhenHidden);
+  window.addEventListener('pagehide', flush);
+
+  return {
+    track,
+    flush,
+    destroy() {
+      flush();
+      document.removeEventListener('visibilitychange', flushWhenHidden);
+      window.removeEventListener('pagehide', flush);
+    },
+  };
+}
+
+// ===== MAIN INITIALIZATION =====
+
+// A reload or back/forward visit shows a search the visitor already made
+function isRepeatedNavigation() {
+  const [navigation] = (performance.getEntriesByType && performance.getEntriesByType('navigation')) || [];
+  return Boolean(navigation) && (navigation.type === 'reload' || navigation.type === 'back_forward');
+}
+
+// Read widget options from the data-* attributes of a #search-config element
+function readSearchConfig(configEl) {
+  if (!configEl) return {};
+  const attr = (name) => configEl.getAttribute(name);
+
+  // Per-type weights used when ranking Page and CMS hits together, e.g. {"page":1,"cms":1.5}
+  let fusionWeights = {};
+  try {
+    fusionWeights = JSON.parse(attr('data-fusion-weights') || '{}') || {};
+  } catch (e) {
+    console.warn('Invalid data-fusion-weights, using equal weights:', e);
+  }
+
+  // Inline JSON (an object or array) or the URL of a JSON file
+  const readJsonOrUrl = (name, fallback) => {
+    const value = (attr(name) || '').trim();
+    if (!/^[[{]/.test(value)) return value || fallback;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      console.warn(`Invalid ${name}, ignoring it:`, e);
+      return fallback;
+    }
+  };
+
+  // Replacements for single UI strings, e.g. {"loadMore":"Show more"} (keys as in MESSAGES)
+  let messages = {};
+  try {
+    messages = JSON.parse(attr('data-messages') || '{}') || {};
+  } catch (e) {
+    console.warn('Invalid data-messages, using the built-in strings:', e);
+  }
+
+  // Extra fields to offer as facets, e.g. ["category","author"]
+  let facetFields = [];
+  try {
+    const parsed = JSON.parse(attr('data-facet-fields') || '[]');
+    facetFields = Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.warn('Invalid data-facet-fields, offering the built-in facets only:', e);
+  }
+
+  return {
+    customFontsLink: attr('data-google-fonts-link') || attr('data-custom-fonts-link') || '',
+    selectedCollections: JSON.parse(attr('data-selected-collections') || '[]'),
+    selectedFieldsSearch: JSON.parse(attr('data-selected-fields-search') || '[]'),
+    selectedFieldsDisplay: JSON.parse(attr('data-selected-fields-display') || '[]'),
+    selectedOption: attr('data-selected-option'),
+    displayMode: attr('data-display-mode'),
+    paginationType: attr('data-pagination-type') || "None",
+    gridRows: parseInt(attr('data-grid-rows'), 10) || 1,
+    gridColumns: parseInt(attr('data-grid-columns'), 10) || 1,
+    itemsPerPage: parseInt(attr('data-items-per-page'), 10) || 10,
+    searchBarType: attr('data-search-bar'),
+    showFacets: attr('data-show-facets') === 'true',
+    facetFields,
+    showSort: attr('data-show-sort') === 'true',
+    sortDateField: attr('data-sort-date-field') || '',
+    defaultSort: attr('data-default-sort') || 'relevance',
+    fusionWeights,
+    searchBackend: attr('data-search-backend') || '',
+    apiBaseUrl: attr('data-api-base-url') || DEFAULT_API_BASE_URL,
+    offlineIndexUrl: attr('data-offline-index-url') || '',
+    offlineMode: attr('data-offline-mode') || 'fallback',
+    offlineTimeout: parseInt(attr('data-offline-timeout'), 10) || OFFLINE_FALLBACK_TIMEOUT,
+    contentVersion: attr('data-content-version') || '',
+    // Analytics: a collector URL and/or the name of a global function that receives each batch
+    analyticsEndpoint: attr('data-analytics-endpoint') || '',
+    analyticsCallback: attr('data-analytics-callback') || '',
+    recentSearches: attr('data-recent-searches') !== 'false',
+    // Mirror query, page, sort and filters in the page URL (see readUrlState)
+    urlSync: attr('data-url-sync') !== 'false',
+    // Window long result lists (see createVirtualList)
+    virtualize: attr('data-virtualize') !== 'false',
+    // UI language (defaults to the page's lang) and "ltr"/"rtl" (defaults to the page's dir)
+    locale: attr('data-locale') || '',
+    messages,
+    dir: attr('data-dir') || '',
+    // Site vocabulary (see createSearchVocabulary)
+    synonyms: readJsonOrUrl('data-synonyms', {}),
+    stopwords: readJsonOrUrl('data-stopwords', []),
+    suggestionDebounce: parseInt(attr('data-suggestion-debounce'), 10) || SUGGESTION_DEBOUNCE,
+    // Group live suggestions under their collection when the backend reports one
+    groupSuggestions: attr('data-group-suggestions') === 'true',
+    // "0" turns the top-result previews off
+    suggestionPreviews: attr('data-suggestion-previews') === null
+      ? SUGGESTION_PREVIEWS
+      : Math.max(0, parseInt(attr('data-suggestion-previews'), 10) || 0),
+    // Unset attributes stay null so those properties follow the light/dark theme
+    styles: {
+      titleFontSize: attr("data-title-font-size"),
+      titleFontFamily: attr("data-title-font-family"),
+      titleColor: attr("data-title-color"),
+      titleFontWeight: attr("data-title-font-weight"),
+      otherFieldsColor: attr("data-other-fields-color"),
+      otherFieldsFontSize: attr("data-other-fields-font-size"),
+      otherFieldsFontFamily: attr("data-other-fields-font-family"),
+      otherFieldsFontWeight: attr("data-other-font-weight"),
+      borderRadius: attr("data-border-radius"),
+      backgroundColor: attr("data-background-color"),
+      boxShadow: attr("data-box-shadow") === "true",
+      headingAlignment: attr("data-heading-alignment"),
+      bodyAlignment: attr("data-body-alignment"),
+    },
+    // "light" or "dark" pins the theme; anything else follows prefers-color-scheme
+    theme: attr('data-theme') || '',
+  };
+}
+
+function toTitleCase(str) {
+  return str.replace(/\w\S*/g, (txt) =>
+    txt.charAt(0).toUpperCase() + txt.slice(1).toLowerCase()
+  );
+}
+
+// Theme palettes. Every color, font and radius used by the widget is a --ufs-*
+// custom property, so a page can restyle results from its own CSS (for example a
+// class in Webflow's style panel) without !important.
+const LIGHT_THEME = {
+  '--ufs-font-family': "'Inter', 'Arial', sans-serif",
+  '--ufs-title-font-family': "'Arial', sans-serif",
+  '--ufs-title-font-size': '16px',
+  '--ufs-title-font-weight': '700',
+  '--ufs-title-color': '#000',
+  '--ufs-heading-align': 'start',
+  '--ufs-text-font-family': "'Arial', sans-serif",
+  '--ufs-text-font-size': '14px',
+  '--ufs-text-font-weight': '400',
+  '--ufs-text-color': '#333',
+  '--ufs-body-align': 'start',
+  '--ufs-muted-color': '#666',
+  '--ufs-radius': '6px',
+  '--ufs-card-bg': '#fff',
+  '--ufs-card-border': '#ddd',
+  '--ufs-card-shadow': '0 2px 6px rgba(0, 0, 0, 0.1)',
+  '--ufs-card-shadow-hover': '0 4px 12px rgba(0, 0, 0, 0.15)',
+  '--ufs-surface': '#fff',
+  '--ufs-surface-hover': '#f5f5f5',
+  '--ufs-surface-active': '#e6f0ff',
+  '--ufs-border-color': '#ddd',
+  '--ufs-accent': '#0073e6',
+  '--ufs-accent-hover': '#005bb5',
+  '--ufs-on-accent': '#fff',
+  '--ufs-mark-bg': '#ffeb3b',
+  '--ufs-mark-color': '#000',
+  '--ufs-error-color': '#e74c3c',
+  '--ufs-close-bg': '#ff4444',
+  '--ufs-backdrop': 'rgba(0, 0, 0, 0.8)',
+  '--ufs-overlay-text-bg': '#f8f9fa',
+  '--ufs-overlay-text-border': '#e9ecef',
+  '--ufs-spinner-track': '#f3f3f3',
+  '--ufs-section-padding': '20%',
+};
+
+const DARK_THEME = {
+  '--ufs-title-color': '#f2f2f2',
+  '--ufs-text-color': '#d0d0d0',
+  '--ufs-muted-color': '#a0a0a0',
+  '--ufs-card-bg': '#1e1f22',
+  '--ufs-card-border': '#34363b',
+  '--ufs-card-shadow': '0 2px 6px rgba(0, 0, 0, 0.5)',
+  '--ufs-card-shadow-hover': '0 4px 12px rgba(0, 0, 0, 0.6)',
+  '--ufs-surface': '#1e1f22',
+  '--ufs-surface-hover': '#2a2c31',
+  '--ufs-surface-active': '#1d3552',
+  '--ufs-border-color': '#3a3c42',
+  '--ufs-accent': '#4a9eff',
+  '--ufs-accent-hover': '#73b4ff',
+  '--ufs-on-accent': '#0b0c0e',
+  '--ufs-mark-bg': '#8a6d00',
+  '--ufs-mark-color': '#fff',
+  '--ufs-error-color': '#ff7b6b',
+  '--ufs-backdrop': 'rgba(0, 0, 0, 0.85)',
+  '--ufs-overlay-text-bg': '#26282c',
+  '--ufs-overlay-text-border': '#34363b',
+  '--ufs-spinner-track': '#34363b',
+};
+
+// Keeps data-* values from closing the declaration or the <style> element
+function cssValue(value) {
+  return String(value).replace(/[;{}<>\\]/g, '').trim();
+}
+
+function cssFontFamily(family) {
+  return `'${cssValue(family).replace(/['"]/g, '')}', sans-serif`;
+}
+
+function cssDeclarations(variables) {
+  return Object.entries(variables)
+    .map(([name, value]) => `${name}: ${value};`)
+    .join('\n      ');
+}
+
+// Custom properties for the data-* styling a widget was configured with. Only
+// attributes that are actually set are emitted, the rest follow the active theme.
+function getThemeVariables(styles = {}, displayMode = 'List') {
+  const variables = {
+    '--ufs-section-padding': displayMode === 'Grid' ? '5%' : '20%',
+  };
+  const set = (name, value, format = cssValue) => {
+    if (value !== undefined && value !== null && value !== '') {
+      variables[name] = format(value);
+    }
+  };
+
+  set('--ufs-title-font-size', styles.titleFontSize);
+  set('--ufs-title-font-family', styles.titleFontFamily, cssFontFamily);
+  set('--ufs-title-font-weight', styles.titleFontWeight, fontWeightFromClass);
+  set('--ufs-title-color', styles.titleColor);
+  set('--ufs-heading-align', styles.headingAlignment);
+  set('--ufs-text-font-size', styles.otherFieldsFontSize);
+  set('--ufs-text-font-family', styles.otherFieldsFontFamily, cssFontFamily);
+  set('--ufs-text-font-weight', styles.otherFieldsFontWeight, fontWeightFromClass);
+  set('--ufs-text-color', styles.otherFieldsColor);
+  set('--ufs-radius', styles.borderRadius);
+  set('--ufs-card-bg', styles.backgroundColor);
+  // data-box-shadow="true" keeps the theme's shadow, so dark mode gets its own
+  if (!styles.boxShadow) {
+    set('--ufs-card-shadow', 'none');
+  } else if (styles.boxShadow !== true) {
+    set('--ufs-card-shadow', styles.boxShadow);
+  }
+  return variables;
+}
+
+// Per-widget rule; zero specificity, so any class rule on the page still wins
+function buildThemeStyles(instanceId, styles, displayMode) {
+  return `
+    :where([data-ufs-instance="${instanceId}"]) {
+      ${cssDeclarations(getThemeVariables(styles, displayMode))}
+    }
+  `;
+}
+
+// Stylesheet shared by every widget on the page. The light palette is the default;
+// the dark one applies under prefers-color-scheme: dark unless a data-theme="light"
+// ancestor opts out, or anywhere under data-theme="dark".
+function buildSearchStyles() {
+  return `
+    :where(:root), :where([data-theme="light"]) {
+      ${cssDeclarations(LIGHT_THEME)}
+    }
+    
+    @media (prefers-color-scheme: dark) {
+      :where(:root:not([data-theme="light"])) {
+        ${cssDeclarations(DARK_THEME)}
+      }
+    }
+    
+    :where([data-theme="dark"]) {
+      ${cssDeclarations(DARK_THEME)}
+    }
+    
+    .searchsuggestionbox {
+      position: absolute;
+      top: 100%;
+      inset-inline-start: 0;
+      background: var(--ufs-surface);
+      border: 1px solid var(--ufs-border-color);
+      max-height: 360px;
+      overflow-y: auto;
+      width: 100%;
+      display: none;
+      z-index: 1000;
+      box-shadow: 0 4px 8px rgba(0,0,0,0.1);
+    }
+    
+    .searchsuggestionbox .suggestion-item {
+      padding: 8px;
+      cursor: pointer;
+      color: var(--ufs-title-color);
+      font-size: 12px;
+      font-family: var(--ufs-font-family);
+      line-height: 1.4;
+      background: var(--ufs-surface);
+      border: none;
+      text-transform: capitalize;
+      white-space: normal;
+    }
+    
+    .searchsuggestionbox .suggestion-item:hover {
+      background-color: var(--ufs-surface-hover);
+    }
+    .searchsuggestionbox .suggestion-item.active {
+      background-color: var(--ufs-surface-active);
+    }
+    .searchsuggestionbox .suggestion-item:focus {
+      outline: none;
+      background-color: var(--ufs-surface-active);
+    }
+    
+    .suggestion-group + .suggestion-group {
+      border-top: 1px solid var(--ufs-border-color);
+    }
+    
+    .live-item strong,
+    .preview-title strong {
+      font-weight: 700;
+    }
+    
+    .searchsuggestionbox .preview-item {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      text-transform: none;
+    }
+    
+    .preview-thumbnail {
+      flex: 0 0 32px;
+      width: 32px;
+      height: 32px;
+      border-radius: 4px;
+      object-fit: cover;
+      background: var(--ufs-surface-hover);
+    }
+    
+    .preview-title {
+      flex: 1;
+      min-width: 0;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+    
+    .preview-badge {
+      flex: none;
+      padding: 1px 6px;
+      border: 1px solid var(--ufs-border-color);
+      border-radius: 8px;
+      font-size: 10px;
+      color: var(--ufs-muted-color);
+    }
+    
+    .suggestion-group-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding: 6px 8px 2px;
+    }
+    
+    .suggestion-group-label {
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.04em;
+      color: var(--ufs-muted-color);
+      font-family: var(--ufs-font-family);
+    }
+    
+    .suggestion-actions {
+      display: flex;
+      justify-content: flex-end;
+      padding: 2px 8px 6px;
+    }
+    
+    .suggestion-clear-all,
+    .suggestion-remove {
+      background: none;
+      border: none;
+      padding: 0 4px;
+      color: var(--ufs-muted-color);
+      font-size: 11px;
+      cursor: pointer;
+    }
+    
+    .suggestion-clear-all:hover,
+    .suggestion-remove:hover {
+      color: var(--ufs-accent);
+    }
+    
+    .searchsuggestionbox .recent-item {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 8px;
+      text-transform: none;
+    }
+    
+    .suggestion-remove {
+      font-size: 14px;
+      line-height: 1;
+    }
+    
+    .preload-indicator {
+      position: absolute;
+      top: 5px;
+      inset-inline-end: 5px;
+      width: 12px;
+      height: 12px;
+      border: 2px solid var(--ufs-accent);
+      border-top: 2px solid transparent;
+      border-radius: 50%;
+      animation: spin 1s linear infinite;
+      z-index: 1000;
+    }
+    
+    .search-results-section {
+      margin-top: 2rem;
+      padding: 0 var(--ufs-section-padding);
+      box-sizing: border-box;
+    }
+    
+    .search-results-wrapper {
+      display: grid;
+      grid-template-columns: repeat(var(--ufs-grid-columns, 3), minmax(0, 1fr));
+      gap: 1rem;
+      width: 100%;
+      max-width: 100%;
+      min-height: 200px;
+      box-sizing: border-box;
+      overflow: hidden;
+    }
+    
+    .search-results-wrapper.list-mode {
+      display: block;
+      width: 100%;
+      max-width: 100%;
+    }
+    
+    .pagination {
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      flex-wrap: wrap;
+      gap: 8px;
+      padding: 10px;
+      box-sizing: border-box;
+      margin-top: 1rem;
+    }
+    
+    .pagination-button {
+      min-width: 40px;
+      height: 40px;
+      margin: 0;
+      padding: 8px 12px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      border: 1px solid var(--ufs-border-color);
+      border-radius: 4px;
+      background: var(--ufs-surface);
+      color: var(--ufs-text-color);
+      cursor: pointer;
+      transition: all 0.2s ease;
+      font-size: 14px;
+      line-height: 1;
+      text-decoration: none;
+    }
+    
+    .pagination-button:hover {
+      background: var(--ufs-surface-hover);
+      border-color: var(--ufs-accent);
+    }
+    
+    .pagination-button.current-page {
+      background: var(--ufs-accent);
+      color: var(--ufs-on-accent);
+      border-color: var(--ufs-accent);
+      font-weight: bold;
+    }
+    
+    /* Arrows point the way pages advance in right-to-left text */
+    [dir="rtl"] .pagination-arrow {
+      display: inline-block;
+      transform: scaleX(-1);
+    }
+    
+    .pagination-ellipsis {
+      padding: 0 8px;
+      color: var(--ufs-muted-color);
+    }
+    
+    .load-more-container {
+      display: flex;
+      justify-content: center;
+      margin-top: 1rem;
+      padding: 10px;
+      box-sizing: border-box;
+    }
+    
+    .load-more-button {
+      min-width: 120px;
+      padding: 12px 24px;
+      border: 1px solid var(--ufs-accent);
+      border-radius: var(--ufs-radius);
+      background: var(--ufs-accent);
+      color: var(--ufs-on-accent);
+      cursor: pointer;
+      font-size: 14px;
+      font-weight: 500;
+      transition: all 0.2s ease;
+    }
+    
+    .load-more-button:hover {
+      background: var(--ufs-accent-hover);
+      border-color: var(--ufs-accent-hover);
+    }
+    
+    .search-results-sentinel {
+      height: 1px;
+    }
+    
+    .virtual-spacer {
+      grid-column: 1 / -1;
+    }
+    
+    .search-facets {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.75rem 1.5rem;
+      margin-top: 1rem;
+      padding: 0 var(--ufs-section-padding);
+      box-sizing: border-box;
+    }
+    
+    .search-facet-group {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+    }
+    
+    .search-facet-label {
+      font-size: 13px;
+      font-weight: 600;
+      color: var(--ufs-text-color);
+      margin-inline-end: 4px;
+    }
+    
+    .search-facet-chip {
+      padding: 4px 10px;
+      border: 1px solid var(--ufs-border-color);
+      border-radius: 999px;
+      background: var(--ufs-surface);
+      color: var(--ufs-text-color);
+      font-size: 13px;
+      cursor: pointer;
+      transition: all 0.2s ease;
+    }
+    
+    .search-facet-chip:hover {
+      border-color: var(--ufs-accent);
+    }
+    
+    .search-facet-chip.selected {
+      background: var(--ufs-accent);
+      border-color: var(--ufs-accent);
+      color: var(--ufs-on-accent);
+    }
+    
+    .search-results-count {
+      margin: 0.75rem 0 0;
+      padding: 0 var(--ufs-section-padding);
+      font-size: 13px;
+      color: var(--ufs-muted-color);
+      font-family: var(--ufs-font-family);
+    }
+    
+    .search-sort {
+      display: flex;
+      justify-content: flex-end;
+      margin-top: 1rem;
+      padding: 0 var(--ufs-section-padding);
+      box-sizing: border-box;
     }
-  }
-  
-  const getResponsiveGridColumns = () => {
-    const screenWidth = window.innerWidth || 1200;
-    const maxColumns = Math.max(1, Math.min(gridColumns || 3, 6));
     
-    if (screenWidth <= 480) return 1;
-    if (screenWidth <= 675) return 1;
-    if (screenWidth <= 768) return Math.min(maxColumns, 2);
-    if (screenWidth <= 1024) return Math.min(maxColumns, 3);
-    if (screenWidth <= 1440) return Math.min(maxColumns, 4);
-    return maxColumns;
-  };
-  
-  const responsiveGridColumns = getResponsiveGridColumns();
-  
-  const {
-    titleFontSize = "16px",
-    titleFontFamily = "Arial",
-    titleColor = "#000",
-    titleFontWeight = "font-bold",
-    borderRadius = "6px",
-    otherFieldsColor = "#333",
-    otherFieldsFontSize = "14px",
-    otherFieldsFontFamily = "Arial",
-    otherFieldsFontWeight = "font-normal",
-    backgroundColor = "#fff",
-    boxShadow = true,
-    headingAlignment = "left",
-    bodyAlignment = "left",
-  } = styles;
-  
-  const itemsHtml = pagedResults.map((item, index) => {
-    // Better title extraction with more field options
-    const titleText = item.name || item.title || item.heading || item.headline || item.label || "Untitled";
-    const detailUrl = item._type === 'page' 
-      ? (item.publishedPath || item.slug || "#")
-      : (item.detailUrl || "#");
+    .search-sort-label {
+      font-size: 13px;
+      color: var(--ufs-text-color);
+    }
     
-    // Get content from selected fields only
-    let contentSnippet = '';
-    let fullContent = '';
+    .search-sort-select {
+      margin-inline-start: 6px;
+      padding: 4px 8px;
+      border: 1px solid var(--ufs-border-color);
+      border-radius: 4px;
+      background: var(--ufs-surface);
+      color: var(--ufs-text-color);
+      font-size: 13px;
+      cursor: pointer;
+    }
     
-    // Use selectedFieldsDisplay if provided, otherwise show all fields
-    const fieldsToShow = selectedFieldsDisplay.length > 0 ? selectedFieldsDisplay : Object.keys(item);
+    .search-spinner {
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      min-height: 60px;
+    }
     
-    console.log('🔍 Available fields for item:', Object.keys(item));
-    console.log('🔍 Selected fields to display:', fieldsToShow);
+    .spinner {
+      border: 4px solid var(--ufs-spinner-track);
+      border-top: 4px solid var(--ufs-accent);
+      border-radius: 50%;
+      width: 32px;
+      height: 32px;
+      animation: spin 1s linear infinite;
+    }
     
-    // Extract content from selected fields
-    for (const field of fieldsToShow) {
-      if (item[field] && typeof item[field] === 'string' && item[field].trim()) {
-        const cleanContent = item[field].replace(/<[^>]*>/g, ''); // Strip HTML
-        console.log(`📝 Field "${field}" content length:`, cleanContent.length);
-        if (cleanContent.length > 20) {
-          contentSnippet = extractContentSnippet(cleanContent, searchQuery, 150);
-          fullContent = cleanContent;
-          console.log(`✅ Using content from field: ${field}`);
-          break;
-        }
-      }
+    @keyframes spin {
+      0% { transform: rotate(0deg); }
+      100% { transform: rotate(360deg); }
     }
     
-    // Fallback to any text field if no selected fields found
-    if (!contentSnippet) {
-      for (const [key, value] of Object.entries(item)) {
-        if (typeof value === 'string' && value.length > 20 && !['name', 'title', 'slug', 'url', 'id'].includes(key)) {
-          const cleanContent = value.replace(/<[^>]*>/g, '');
-          contentSnippet = extractContentSnippet(cleanContent, searchQuery, 150);
-          fullContent = cleanContent;
-          break;
-        }
-      }
+    .search-state {
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      min-height: 200px;
+      text-align: center;
+      padding: 2rem;
     }
     
-    // Final fallback
-    if (!contentSnippet && searchQuery) {
-      contentSnippet = `Found results for "${searchQuery}"`;
-      fullContent = contentSnippet;
+    .search-state p {
+      color: var(--ufs-muted-color);
+      font-size: 16px;
+      font-family: var(--ufs-text-font-family);
+      margin: 0;
+      line-height: 1.5;
     }
     
-    // Highlight keywords
-    const highlightedTitle = highlightKeywords(titleText, searchQuery);
-    const highlightedContent = highlightKeywords(contentSnippet, searchQuery);
-    const highlightedFullContent = highlightKeywords(fullContent, searchQuery);
+    .search-state.search-error p {
+      color: var(--ufs-error-color);
+    }
     
-    // Get primary image
-    const primaryImage = getPrimaryImage(item);
+    .search-result-item {
+      background: var(--ufs-card-bg);
+      border: 1px solid var(--ufs-card-border);
+      border-radius: var(--ufs-radius);
+      box-shadow: var(--ufs-card-shadow);
+      padding: 1rem;
+      box-sizing: border-box;
+      word-wrap: break-word;
+    }
     
-    // Build content display with read more functionality
-    let contentHtml = '';
+    .search-result-title {
+      display: block;
+      margin: 0 0 0.5rem;
+      font-size: var(--ufs-title-font-size);
+      font-family: var(--ufs-title-font-family);
+      font-weight: var(--ufs-title-font-weight);
+      color: var(--ufs-title-color);
+      text-align: var(--ufs-heading-align);
+      line-height: 1.3;
+      word-wrap: break-word;
+    }
     
-    if (highlightedContent) {
-      contentHtml += `<div class="content-preview" style="
-            color: ${otherFieldsColor};
-            font-size: ${otherFieldsFontSize};
-            font-family: '${otherFieldsFontFamily}', sans-serif;
-            font-weight: ${fontWeightFromClass(otherFieldsFontWeight)};
-            text-align: ${bodyAlignment};
-        margin: 0.5rem 0;
-            line-height: 1.4;
-        word-wrap: break-word;
-        max-height: 100px;
-        overflow: hidden;
-        position: relative;
-      ">${highlightedContent}</div>`;
-      
-      // Always add read more button for debugging and functionality
-      contentHtml += `<button class="read-more-btn" data-item-index="${index}" style="
-        background: #0073e6;
-        color: white;
-        border: none;
-        padding: 6px 12px;
-        border-radius: 4px;
-        font-size: 12px;
-        cursor: pointer;
-        margin-top: 0.5rem;
-        display: inline-block;
-      ">Read More</button>`;
+    .search-result-content {
+      margin-top: 0.5rem;
+      word-wrap: break-word;
+      overflow: hidden;
     }
     
-    // Add primary image if available
-    if (primaryImage) {
-      const imageUrl = primaryImage.url || primaryImage;
-      const imageAlt = primaryImage.alt || titleText;
-      contentHtml += `<img src="${imageUrl}" alt="${imageAlt}" style="
-        max-width: 200px;
-        height: auto;
-        border-radius: 4px;
-        margin: 0.5rem 0;
-        display: block;
-        object-fit: cover;
-        max-height: 100px;
-        width: auto;
-        float: right;
-        margin-left: 1rem;
-      ">`;
+    .content-preview {
+      position: relative;
+      margin: 0.5rem 0;
+      max-height: 100px;
+      overflow: hidden;
+      color: var(--ufs-text-color);
+      font-size: var(--ufs-text-font-size);
+      font-family: var(--ufs-text-font-family);
+      font-weight: var(--ufs-text-font-weight);
+      text-align: var(--ufs-body-align);
+      line-height: 1.4;
+      word-wrap: break-word;
     }
     
-    if (displayMode === "Grid") {
-      return `
-        <a href="${detailUrl}" target="_blank" style="text-decoration: none; color: inherit; display: block; height: 100%; min-height: 200px;">
-          <div class="search-result-item grid-item" style="
-            background: ${backgroundColor};
-            border: 1px solid #ddd;
-            border-radius: ${borderRadius};
-            padding: 1rem;
-            height: 100%;
-            min-height: 200px;
-            display: flex;
-            flex-direction: column;
-            justify-content: space-between;
-            box-sizing: border-box;
-            overflow: hidden;
-            word-wrap: break-word;
-            ${boxShadow ? 'box-shadow: 0 2px 6px rgba(0, 0, 0, 0.1);' : ''}
-          ">
-            <div style="flex: 1; display: flex; flex-direction: column;">
-              <h4 style="
-                font-size: ${titleFontSize};
-                font-family: '${titleFontFamily}', sans-serif;
-                font-weight: ${fontWeightFromClass(titleFontWeight)};
-                color: ${titleColor};
-                text-align: ${headingAlignment};
-                margin-bottom: 0.5rem;
-                word-wrap: break-word;
-                line-height: 1.3;
-                margin-top: 0;
-              ">
-                ${highlightedTitle}
-              </h4>
-                <div style="flex-grow: 1; word-wrap: break-word;">
-                ${contentHtml}
-                </div>
-            </div>
-          </div>
-        </a>
-      `;
-    } else {
-      return `
-        <div class="search-result-item list-item" style="
-          margin-bottom: 1rem;
-          padding: 1rem;
-          background: ${backgroundColor};
-          border: 1px solid #ddd;
-          border-radius: ${borderRadius};
-          ${boxShadow ? 'box-shadow: 0 2px 6px rgba(0, 0, 0, 0.1);' : ''}
-          width: 100%;
-          max-width: 100%;
-          box-sizing: border-box;
-          word-wrap: break-word;
-        ">
-          <a href="${detailUrl}" target="_blank" style="
-            font-size: ${titleFontSize};
-            font-family: '${titleFontFamily}', sans-serif;
-            font-weight: ${fontWeightFromClass(titleFontWeight)};
-            color: ${titleColor};
-            text-align: ${headingAlignment};
-            text-decoration: underline;
-            display: block;
-            margin-bottom: 0.5rem;
-            word-wrap: break-word;
-          ">
-            ${highlightedTitle}
-          </a>
-          <div style="
-            margin-top: 0.5rem;
-            word-wrap: break-word;
-            overflow: hidden;
-          ">
-            ${contentHtml}
-          </div>
-        </div>
-      `;
+    .content-preview::after {
+      content: '';
+      position: absolute;
+      bottom: 0;
+      left: 0;
+      right: 0;
+      height: 20px;
+      background: linear-gradient(transparent, var(--ufs-card-bg));
+      pointer-events: none;
     }
-  }).join("");
-  
-  // FIXED PAGINATION
-  let paginationHtml = "";
-  if (paginationType === "Numbered" && totalPages > 1 && totalPages <= 100) {
-    paginationHtml = `<div class="pagination" id="search-pagination-${Date.now()}" style="margin-top: 1rem; display: flex; justify-content: center; align-items: center; gap: 8px; flex-wrap: wrap; padding: 10px; box-sizing: border-box;">`;
     
-    if (currentPage > 1) {
-      paginationHtml += `<button class="pagination-button prev-button" data-page="${currentPage - 1}" style="margin: 0; padding: 8px 12px; border: 1px solid #ddd; border-radius: 4px; background: white; cursor: pointer; transition: all 0.2s ease; min-width: 40px;">←</button>`;
+    .search-result-item img {
+      max-width: 100%;
+      height: auto;
+      border-radius: 4px;
+      margin: 0.5rem 0;
+      display: block;
+      object-fit: cover;
     }
     
-    const maxVisiblePages = Math.min(7, totalPages);
-    let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2));
-    let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1);
+    .search-result-link {
+      display: block;
+      height: 100%;
+      min-height: 200px;
+      text-decoration: none;
+      color: inherit;
+    }
     
-    if (endPage - startPage < maxVisiblePages - 1) {
-      startPage = Math.max(1, endPage - maxVisiblePages + 1);
+    .grid-item {
+      height: 100%;
+      min-height: 200px;
+      display: flex;
+      flex-direction: column;
+      justify-content: space-between;
+      overflow: hidden;
     }
     
-    if (startPage > 1) {
-      paginationHtml += `<button class="pagination-button" data-page="1" style="margin: 0; padding: 8px 12px; border: 1px solid #ddd; border-radius: 4px; background: white; cursor: pointer; transition: all 0.2s ease; min-width: 40px;">1</button>`;
-      if (startPage > 2) {
-        paginationHtml += `<span style="padding: 0 8px; color: #666;">...</span>`;
-      }
+    .grid-item .search-result-body {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
     }
     
-    for (let i = startPage; i <= endPage; i++) {
-      const isCurrentPage = i === currentPage;
-      const buttonStyle = isCurrentPage 
-        ? 'margin: 0; padding: 8px 12px; border: 1px solid #0073e6; border-radius: 4px; background: #0073e6; color: white; cursor: pointer; transition: all 0.2s ease; min-width: 40px; font-weight: bold;'
-        : 'margin: 0; padding: 8px 12px; border: 1px solid #ddd; border-radius: 4px; background: white; cursor: pointer; transition: all 0.2s ease; min-width: 40px;';
-      
-      paginationHtml += `<button class="pagination-button ${isCurrentPage ? 'current-page' : ''}" data-page="${i}" style="${buttonStyle}">${i}</button>`;
+    .grid-item .search-result-content {
+      flex-grow: 1;
     }
     
-    if (endPage < totalPages) {
-      if (endPage < totalPages - 1) {
-        paginationHtml += `<span style="padding: 0 8px; color: #666;">...</span>`;
-      }
-      paginationHtml += `<button class="pagination-button" data-page="${totalPages}" style="margin: 0; padding: 8px 12px; border: 1px solid #ddd; border-radius: 4px; background: white; cursor: pointer; transition: all 0.2s ease; min-width: 40px;">${totalPages}</button>`;
+    .grid-item img {
+      max-height: 150px;
+      width: 100%;
+      object-fit: cover;
     }
     
-    if (currentPage < totalPages) {
-      paginationHtml += `<button class="pagination-button next-button" data-page="${currentPage + 1}" style="margin: 0; padding: 8px 12px; border: 1px solid #ddd; border-radius: 4px; background: white; cursor: pointer; transition: all 0.2s ease; min-width: 40px;">→</button>`;
+    .ufs-theme mark {
+      background-color: var(--ufs-mark-bg);
+      color: var(--ufs-mark-color);
+      padding: 0.1em 0.2em;
+      border-radius: 2px;
+      font-weight: bold;
     }
     
-    paginationHtml += `</div>`;
-  }
-
-  if (paginationType === "Load More" && endIndex < results.length) {
-    paginationHtml += `<div style="display: flex; justify-content: center; margin-top: 1rem; padding: 10px; box-sizing: border-box;"><button class="load-more-button" style="padding: 12px 24px; border: 1px solid #0073e6; border-radius: 6px; background: #0073e6; color: white; cursor: pointer; font-size: 14px; font-weight: 500; transition: all 0.2s ease; min-width: 120px;">Load More</button></div>`;
-  }
-  
-  const sectionHtml = `
-    <section class="search-results-section ${displayMode === 'Grid' ? 'grid-mode' : 'list-mode'}" style="margin-top: 2rem; padding: 0 ${displayMode === 'Grid' ? '5%' : '20%'}; box-sizing: border-box;">
-      <div class="search-results-wrapper ${displayMode === 'List' ? 'list-mode' : ''}" style="
-        display: ${displayMode === 'Grid' ? 'grid' : 'block'};
-        grid-template-columns: ${displayMode === 'Grid' ? `repeat(${responsiveGridColumns}, 1fr)` : 'none'};
-        gap: 1rem;
-        width: 100%;
-        max-width: 100%;
-        min-height: 200px;
-        box-sizing: border-box;
-        overflow: hidden;
-      ">
-        ${itemsHtml}
-      </div>
-      ${paginationHtml}
-    </section>
-  `;
-  
-  if (container) {
-    container.innerHTML = sectionHtml;
+    .list-item {
+      display: block;
+      width: 100%;
+      max-width: 100%;
+      margin-bottom: 1rem;
+    }
     
-    // Add read more overlay functionality
-    const readMoreButtons = container.querySelectorAll('.read-more-btn');
-    console.log('🔍 Found read more buttons:', readMoreButtons.length);
+    .list-item:hover {
+      box-shadow: var(--ufs-card-shadow-hover);
+      transform: translateY(-1px);
+      transition: all 0.2s ease;
+    }
     
-    readMoreButtons.forEach((btn, btnIndex) => {
-      btn.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        const itemIndex = parseInt(btn.getAttribute('data-item-index'));
-        const item = pagedResults[itemIndex];
-        console.log('🔍 Read more clicked for item:', itemIndex, item);
-        showReadMoreOverlay(item, searchQuery, styles);
-      });
-    });
+    .list-item a.search-result-title {
+      text-decoration: underline;
+    }
     
-    if (paginationType === "Numbered") {
-      const paginationButtons = container.querySelectorAll('.pagination-button');
-      paginationButtons.forEach(btn => {
-        btn.addEventListener('click', () => {
-          const page = parseInt(btn.getAttribute('data-page'));
-          console.log(`Pagination clicked: page ${page}`);
-          renderResultsFast(results, title, displayMode, maxItems, gridColumns, paginationType, container, page, isPageResult, styles, selectedFieldsDisplay, searchQuery);
-        });
-      });
+    .list-item img {
+      max-width: 200px;
+      max-height: 100px;
+      width: auto;
+      height: auto;
+      float: right;
+      float: inline-end;
+      margin-inline-start: 1rem;
+      margin-bottom: 0.5rem;
+      border-radius: 4px;
+      object-fit: cover;
     }
-
-    if (paginationType === "Load More") {
-      const loadBtn = container.querySelector('.load-more-button');
-      if (loadBtn) {
-        loadBtn.addEventListener('click', () => {
-          console.log('Load more clicked');
-          renderResultsFast(results, title, displayMode, endIndex + maxItems, gridColumns, paginationType, container, 1, isPageResult, styles, selectedFieldsDisplay, searchQuery);
-        });
+    
+    @media (max-width: 768px) {
+      .list-item img {
+        max-width: 150px;
+        max-height: 80px;
+        float: none;
+        margin-inline-start: 0;
+        margin-bottom: 0.5rem;
+        display: block;
       }
     }
-  }
-  
-  return sectionHtml;
-}
-
-// Read more overlay function
-function showReadMoreOverlay(item, searchQuery, styles) {
-  console.log('🔍 Opening overlay for item:', item);
-  
-  // Remove existing overlay if any
-  const existingOverlay = document.getElementById('read-more-overlay');
-  if (existingOverlay) {
-    existingOverlay.remove();
-  }
-  
-  const titleText = item.name || item.title || item.heading || item.headline || item.label || "Untitled";
-  const detailUrl = item._type === 'page' 
-    ? (item.publishedPath || item.slug || "#")
-    : (item.detailUrl || "#");
-  
-  // Get full content from ALL selected fields
-  let fullContent = '';
-  const selectedFieldsDisplay = JSON.parse(document.querySelector('#search-config')?.getAttribute('data-selected-fields-display') || '[]');
-  const fieldsToShow = selectedFieldsDisplay.length > 0 ? selectedFieldsDisplay : Object.keys(item);
-  
-  console.log('🔍 Overlay - Selected fields to display:', fieldsToShow);
-  
-  // Collect content from ALL selected fields
-  const allFieldContent = [];
-  
-  for (const field of fieldsToShow) {
-    if (item[field] && typeof item[field] === 'string' && item[field].trim()) {
-      const cleanContent = item[field].replace(/<[^>]*>/g, '');
-      if (cleanContent.length > 20) {
-        allFieldContent.push({
-          field: field,
-          content: cleanContent
-        });
-        console.log(`📝 Overlay - Found content in field "${field}":`, cleanContent.substring(0, 100) + '...');
+    
+    @media (max-width: 768px) {
+      .list-item {
+        padding: 0.75rem;
+        margin-bottom: 0.75rem;
+      }
+    }
+    
+    @media (max-width: 480px) {
+      .list-item {
+        padding: 0.5rem;
+        margin-bottom: 0.5rem;
+        border-radius: 4px;
       }
     }
-  }
-  
-  // Combine all field content with better formatting
-  if (allFieldContent.length > 0) {
-    fullContent = allFieldContent.map(fieldData => 
-      `📋 ${fieldData.field.toUpperCase()}\n${'='.repeat(fieldData.field.length + 4)}\n\n${fieldData.content}`
-    ).join('\n\n' + '─'.repeat(50) + '\n\n');
-  } else {
-    // Fallback to any text field
-    for (const [key, value] of Object.entries(item)) {
-      if (typeof value === 'string' && value.length > 20 && !['name', 'title', 'slug', 'url', 'id'].includes(key)) {
-        fullContent = value.replace(/<[^>]*>/g, '');
-        break;
+    
+    /* Responsive padding for search results */
+    @media (max-width: 1200px) {
+      .search-results-section.grid-mode {
+        padding: 0 3%;
+      }
+      .search-results-section.list-mode {
+        padding: 0 15%;
       }
     }
-  }
-  
-  // Get all images from the item
-  const allImages = [];
-  if (item.images && Array.isArray(item.images)) {
-    allImages.push(...item.images);
-  } else if (item.images && item.images.url) {
-    allImages.push(item.images);
-  }
-  
-  // Add other image fields
-  for (const [key, value] of Object.entries(item)) {
-    if (typeof value === 'object' && value !== null && value.url && !allImages.some(img => img.url === value.url)) {
-      allImages.push(value);
+    
+    @media (max-width: 768px) {
+      .search-results-section.grid-mode {
+        padding: 0 2%;
+      }
+      .search-results-section.list-mode {
+        padding: 0 10%;
+      }
+      .search-facets,
+      .search-sort {
+        padding: 0 5%;
+      }
     }
-  }
-  
-  const highlightedTitle = highlightKeywords(titleText, searchQuery);
-  const highlightedContent = highlightKeywords(fullContent, searchQuery);
-  
-  console.log('🔍 Overlay content:', {
-    title: titleText,
-    fullContent: fullContent.substring(0, 100) + '...',
-    contentLength: fullContent.length,
-    images: allImages.length
-  });
-  
-  const {
-    titleFontSize = "16px",
-    titleFontFamily = "Arial",
-    titleColor = "#000",
-    titleFontWeight = "font-bold",
-    otherFieldsColor = "#333",
-    otherFieldsFontSize = "14px",
-    otherFieldsFontFamily = "Arial",
-    otherFieldsFontWeight = "font-normal",
-    backgroundColor = "#fff",
-  } = styles;
-  
-  // Create overlay
-  const overlay = document.createElement('div');
-  overlay.id = 'read-more-overlay';
-  overlay.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    width: 100%;
-    height: 100%;
-    background: rgba(0, 0, 0, 0.8);
-    z-index: 10000;
-    display: flex;
-    justify-content: center;
-    align-items: center;
-    padding: 20px;
-    box-sizing: border-box;
-  `;
-  
-  const content = document.createElement('div');
-  content.style.cssText = `
-    background: ${backgroundColor};
-    border-radius: 12px;
-    padding: 2rem;
-    max-width: 800px;
-    max-height: 80vh;
-    width: 100%;
-    overflow-y: auto;
-    position: relative;
-    box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
-  `;
-  
-  content.innerHTML = `
-    <button id="close-overlay" style="
+    
+    @media (max-width: 480px) {
+      .search-results-section {
+        padding: 0 5%;
+      }
+    }
+    
+    .read-more-btn {
+      display: inline-block;
+      background: var(--ufs-accent);
+      color: var(--ufs-on-accent);
+      border: none;
+      padding: 4px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      cursor: pointer;
+      margin-top: 0.5rem;
+      transition: all 0.2s ease;
+    }
+    
+    .read-more-btn:hover {
+      background: var(--ufs-accent-hover);
+      transform: translateY(-1px);
+    }
+    
+    .read-more-overlay {
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: var(--ufs-backdrop);
+      z-index: 10000;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      padding: 20px;
+      box-sizing: border-box;
+      backdrop-filter: blur(5px);
+    }
+    
+    .read-more-overlay .content {
+      background: var(--ufs-card-bg);
+      border-radius: 12px;
+      padding: 2rem;
+      max-width: 800px;
+      max-height: 80vh;
+      width: 100%;
+      overflow-y: auto;
+      position: relative;
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
+      animation: slideIn 0.3s ease-out;
+    }
+    
+    .read-more-overlay .content:focus {
+      outline: none;
+    }
+    
+    .read-more-overlay .close-overlay {
       position: absolute;
       top: 1rem;
-      right: 1rem;
-      background: #ff4444;
-      color: white;
+      inset-inline-end: 1rem;
+      background: var(--ufs-close-bg);
+      color: #fff;
       border: none;
       border-radius: 50%;
       width: 30px;
@@ -732,684 +3733,1164 @@ function showReadMoreOverlay(item, searchQuery, styles) {
       display: flex;
       align-items: center;
       justify-content: center;
-    ">×</button>
+    }
     
-    <h2 style="
-      font-size: ${titleFontSize};
-      font-family: '${titleFontFamily}', sans-serif;
-      font-weight: ${fontWeightFromClass(titleFontWeight)};
-      color: ${titleColor};
+    .read-more-title {
+      font-size: var(--ufs-title-font-size);
+      font-family: var(--ufs-title-font-family);
+      font-weight: var(--ufs-title-font-weight);
+      color: var(--ufs-title-color);
       margin-bottom: 1rem;
       word-wrap: break-word;
-    ">${highlightedTitle}</h2>
+    }
     
+    .read-more-snippet {
+      color: var(--ufs-text-color);
+      font-size: var(--ufs-text-font-size);
+      font-family: var(--ufs-text-font-family);
+      line-height: 1.6;
+      margin: 0 0 1rem;
+      padding-inline-start: 0.75rem;
+      border-inline-start: 3px solid var(--ufs-accent);
+      font-style: italic;
+    }
     
-    ${allImages.map(img => `
-      <img src="${img.url || img}" alt="${img.alt || ''}" style="
-        max-width: 100%;
-        height: auto;
-        border-radius: 8px;
-        margin: 1rem 0;
-        display: block;
-        object-fit: cover;
-      ">
-    `).join('')}
+    .read-more-image {
+      max-width: 100%;
+      height: auto;
+      border-radius: 8px;
+      margin: 1rem 0;
+      display: block;
+      object-fit: cover;
+    }
     
-    <div style="
-      color: ${otherFieldsColor};
-      font-size: ${otherFieldsFontSize};
-      font-family: '${otherFieldsFontFamily}', sans-serif;
-      font-weight: ${fontWeightFromClass(otherFieldsFontWeight)};
+    .read-more-text {
+      color: var(--ufs-text-color);
+      font-size: var(--ufs-text-font-size);
+      font-family: var(--ufs-text-font-family);
+      font-weight: var(--ufs-text-font-weight);
       line-height: 1.6;
       word-wrap: break-word;
       white-space: pre-wrap;
       max-height: 60vh;
       overflow-y: auto;
       padding: 1rem;
-      background: #f8f9fa;
+      background: var(--ufs-overlay-text-bg);
       border-radius: 8px;
-      border: 1px solid #e9ecef;
-    ">${highlightedContent}</div>
-    
-    <div style="margin-top: 2rem; text-align: center;">
-      <a href="${detailUrl}" target="_blank" style="
-        background: #0073e6;
-        color: white;
-        padding: 12px 24px;
-        border-radius: 6px;
-        text-decoration: none;
-        display: inline-block;
-        font-weight: 500;
-      ">View Full Page</a>
-    </div>
-  `;
-  
-  overlay.appendChild(content);
-  document.body.appendChild(overlay);
-  
-  // Close overlay functionality
-  const closeBtn = document.getElementById('close-overlay');
-  closeBtn.addEventListener('click', () => {
-    overlay.remove();
-  });
-  
-  overlay.addEventListener('click', (e) => {
-    if (e.target === overlay) {
-      overlay.remove();
+      border: 1px solid var(--ufs-overlay-text-border);
     }
-  });
-  
-  // Close on escape key
-  const handleEscape = (e) => {
-    if (e.key === 'Escape') {
-      overlay.remove();
-      document.removeEventListener('keydown', handleEscape);
+    
+    .read-more-actions {
+      margin-top: 2rem;
+      text-align: center;
     }
-  };
-  document.addEventListener('keydown', handleEscape);
+    
+    .read-more-link {
+      background: var(--ufs-accent);
+      color: var(--ufs-on-accent);
+      padding: 12px 24px;
+      border-radius: var(--ufs-radius);
+      text-decoration: none;
+      display: inline-block;
+      font-weight: 500;
+    }
+    
+    @keyframes slideIn {
+      from {
+        opacity: 0;
+        transform: scale(0.9) translateY(20px);
+      }
+      to {
+        opacity: 1;
+        transform: scale(1) translateY(0);
+      }
+    }
+  `;
 }
 
-// Token management
-async function getOrCreateVisitorId() {
-  let visitorId = localStorage.getItem('visitorId');
-  if (!visitorId) {
-    visitorId = crypto.randomUUID();
-    localStorage.setItem('visitorId', visitorId);
-  }
-  return visitorId;
+const TEMPLATE_SLOTS = ['card', 'empty', 'loading', 'error'];
+
+function buildNoResultsHtml(t = translateDefault) {
+  return `
+  <div class="search-state search-empty">
+    <p>${escapeHtml(t('noResults'))}</p>
+  </div>
+`;
 }
 
-function isTokenExpired(token) {
-  try {
-    const payload = JSON.parse(atob(token.split('.')[1]));
-    return payload.exp && payload.exp < Math.floor(Date.now() / 1000);
-  } catch (e) {
-    return true;
+function buildSearchErrorHtml(t = translateDefault) {
+  return `
+  <div class="search-state search-error">
+    <p>${escapeHtml(t('searchError'))}</p>
+  </div>
+`;
+}
+
+// Live suggestions wait for a pause in typing; answers are kept per query
+const SUGGESTION_DEBOUNCE = 150;
+const SUGGESTION_CACHE_SIZE = 50;
+// Top results from the typing preload listed under the text suggestions
+const SUGGESTION_PREVIEWS = 4;
+
+// Backends may return plain strings or objects that name their collection
+function normalizeSuggestion(entry) {
+  if (typeof entry === 'string') {
+    return { text: toTitleCase(htmlToText(entry)), collection: '' };
   }
+  const text = entry && (entry.text ?? entry.suggestion ?? entry.value ?? entry.title ?? entry.name);
+  if (typeof text !== 'string' || !text.trim()) return null;
+  return { text: toTitleCase(htmlToText(text)), collection: getResultCollection(entry) || entry._collection || '' };
 }
 
-async function getVisitorSessionToken() {
-  try {
-    const existingToken = localStorage.getItem('visitorSessionToken');
-    if (existingToken && !isTokenExpired(existingToken)) {
-      console.log("Using existing token from localStorage");
-      return existingToken;
+// Value a suggestion option stands for (its text may include extra controls)
+function getSuggestionValue(option) {
+  return option.getAttribute('data-value') ?? option.textContent ?? '';
+}
+
+// One search widget: a form, its suggestions and a results container found inside
+// `root`. Options default to the data-* attributes of the #search-config element
+// inside `root` (or `options.configElement`); anything passed in `options` wins.
+// Every element, listener and timer it creates is removed again by destroy().
+class UltraFastSearch {
+  constructor(root = document, options = {}) {
+    this.root = root;
+    this.id = ++UltraFastSearch.instanceCount;
+    this.configElement = options.configElement || root.querySelector('[data-search-config], #search-config');
+    this.options = { ...readSearchConfig(this.configElement), ...options };
+    this.options.styles = { ...readSearchConfig(this.configElement).styles, ...(options.styles || {}) };
+
+    this.cleanups = [];
+    this.middleware = [];
+    this.liveSuggestions = [];
+    this.previewResults = [];
+    this.previewQuery = '';
+    this.suggestionTimer = null;
+    this.suggestionController = null;
+    this.hiddenTemplates = new Map();
+    this.themedElements = new Map();
+    this.analytics = null;
+    this.timers = new Set();
+    this.overlayHandle = null;
+    this.searchController = null;
+    this.preloadController = null;
+    this.destroyed = false;
+    this.token = null;
+
+    // Last result set, facet selection and sort order, so these re-render without a new request.
+    // state.results is the window of server batches loaded so far for state.query.
+    this.state = {
+      query: '',
+      results: [],
+      total: 0,
+      hasMore: false,
+      loadedBatches: 0,
+      selectedFacets: {},
+      sort: 'relevance',
+      page: 1,
+      loading: false,
+    };
+    this.facetBarEl = null;
+    this.resultCountEl = null;
+    this.combinedResultsDiv = null;
+    this.activeSuggestionIndex = -1;
+    // URL state waiting for the results of its query (page load, back/forward)
+    this.pendingUrlState = null;
+
+    this.applyOptions();
+    this.state.sort = this.getDefaultSort();
+
+    UltraFastSearch.instances.add(this);
+    this.ready = this.init();
+  }
+
+  getDefaultSort() {
+    return SORT_OPTIONS.some(option => option.value === this.options.defaultSort)
+      ? this.options.defaultSort
+      : 'relevance';
+  }
+
+  // The configured locale, else the nearest lang attribute around the widget
+  getLocale() {
+    if (this.options.locale) return this.options.locale;
+    const scope = this.root === document ? document.documentElement : this.root;
+    const marked = scope.closest('[lang]');
+    return (marked && marked.getAttribute('lang')) || DEFAULT_LOCALE;
+  }
+
+  // Elements outside the root (overlay, spinner) get this dir too, so they mirror with it
+  getDirection() {
+    const dir = String(this.options.dir || '').toLowerCase();
+    if (dir === 'rtl' || dir === 'ltr') return dir;
+    const scope = this.root === document ? document.documentElement : this.root;
+    const marked = scope.closest('[dir]');
+    if (marked) return marked.getAttribute('dir').toLowerCase() === 'rtl' ? 'rtl' : 'ltr';
+    return isRtlLocale(this.locale) ? 'rtl' : 'ltr';
+  }
+
+  // Derived settings; recomputed whenever options change
+  applyOptions() {
+    const options = this.options;
+    this.selectedCollections = options.selectedCollections || [];
+    this.selectedFieldsSearch = options.selectedFieldsSearch || [];
+    this.selectedFieldsDisplay = options.selectedFieldsDisplay || [];
+    this.maxItems = options.displayMode === "Grid"
+      ? (options.gridRows || 1) * (options.gridColumns || 1)
+      : options.itemsPerPage || 10;
+    this.facetFields = [
+      ...(options.selectedOption === "Both" ? [FACET_TYPE] : []),
+      FACET_COLLECTION,
+      ...(options.facetFields || []),
+    ];
+    this.siteName = options.siteName || window.location.hostname.replace(/^www\./, '').split('.')[0];
+    this.locale = this.getLocale();
+    this.t = createTranslator(this.locale, options.messages);
+    this.direction = this.getDirection();
+    const cacheScope = {
+      siteName: this.siteName,
+      selectedOption: options.selectedOption,
+      collections: this.selectedCollections,
+      searchFields: this.selectedFieldsSearch,
+      displayFields: this.selectedFieldsDisplay,
+    };
+    this.cacheScope = createCacheScope(cacheScope);
+
+    // Synonyms and stopwords; searches wait for them when they come from a URL.
+    // Synonyms change what the backend is asked, so results cache per synonym map.
+    this.vocabulary = EMPTY_VOCABULARY;
+    const vocabularyReady = loadSearchVocabulary({ synonyms: options.synonyms, stopwords: options.stopwords })
+      .then(vocabulary => {
+        if (this.vocabularyReady === vocabularyReady) {
+          this.vocabulary = vocabulary;
+          this.cacheScope = createCacheScope({ ...cacheScope, vocabulary: vocabulary.version });
+        }
+        return vocabulary;
+      });
+    this.vocabularyReady = vocabularyReady;
+
+    // Cached suggestions belong to the previous backend and scope
+    this.suggestionCache = new Map();
+
+    // Backend selection: a registered adapter name and/or a base URL for the search API
+    this.backend = withOfflineSearch(
+      createSearchBackend({ name: options.searchBackend, baseUrl: options.apiBaseUrl }),
+      {
+        indexUrl: options.offlineIndexUrl,
+        mode: options.offlineMode,
+        timeout: options.offlineTimeout,
+        searchFields: this.selectedFieldsSearch,
+      }
+    );
+
+    this.templates = {};
+    TEMPLATE_SLOTS.forEach(slot => {
+      this.templates[slot] = this.findTemplate(slot);
+    });
+  }
+
+  // Custom markup for a slot: `options.templates[slot]` (an element or a selector),
+  // else a [data-ufs-template="<slot>"] element inside the widget root. Designer-built
+  // elements stay hidden in place and are cloned for each use.
+  findTemplate(slot) {
+    const given = this.options.templates?.[slot];
+    const source = typeof given === 'string'
+      ? this.root.querySelector(given) || document.querySelector(given)
+      : given || this.root.querySelector(`[data-ufs-template="${slot}"]`);
+    if (!source) return null;
+
+    if (!(source instanceof HTMLTemplateElement) && !this.hiddenTemplates.has(source)) {
+      this.hiddenTemplates.set(source, source.style.display);
+      source.style.display = 'none';
     }
+    return source;
+  }
 
-    const visitorId = await getOrCreateVisitorId();
-    const siteName = window.location.hostname.replace(/^www\./, '').split('.')[0];
+  renderState(slot, values = {}) {
+    const fallbackHtml = {
+      empty: () => buildNoResultsHtml(this.t),
+      error: () => buildSearchErrorHtml(this.t),
+      loading: () => '<div class="spinner"></div>',
+    }[slot]();
+    return renderStateTemplate(this.templates[slot], fallbackHtml, values);
+  }
+
+  // Analytics stay off unless an endpoint or a callback is configured. They are
+  // recorded from this widget's own lifecycle events.
+  setupAnalytics() {
+    const { analyticsEndpoint, analyticsCallback, onAnalytics } = this.options;
+    // A named global is looked up per batch, so it may be defined after this script
+    const onEvents = onAnalytics || (analyticsCallback
+      ? (events) => {
+        if (typeof window[analyticsCallback] === 'function') window[analyticsCallback](events);
+      }
+      : null);
+    if (!analyticsEndpoint && !onEvents) return;
+
+    const analytics = createSearchAnalytics({ endpoint: analyticsEndpoint, onEvents, siteName: this.siteName });
+    this.analytics = analytics;
+    const on = (type, handler) => this.listen(this.root, `ufs:${type}`, (event) => {
+      if (event.detail.widget === this) handler(event.detail);
+    });
 
-    const response = await fetch('https://search-server.long-rain-28bb.workers.dev/api/visitor-token', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        visitorId,
-        userAgent: navigator.userAgent,
-        siteName,
-      }),
+    // Searches replayed from the URL (back/forward, reloads) were counted the first time;
+    // failed searches end in ufs:error, not in zero results
+    on('search-start', ({ query, restored }) => {
+      if (!restored) analytics.track('search', { query });
+    });
+    on('results', ({ query, total, restored }) => {
+      if (total === 0 && !restored) analytics.track('zero_results', { query });
+    });
+    on('suggestion-select', ({ query, suggestion, position }) => {
+      analytics.track('suggestion_select', { query, suggestion, position });
+    });
+    on('overlay-open', ({ query, item }) => {
+      analytics.track('read_more_open', { query, url: getResultUrl(item), _type: item._type });
     });
+    on('result-click', ({ query, item, position, url }) => {
+      analytics.track('result_click', { query, url, position, _type: item._type });
+    });
+  }
 
-    if (!response.ok) throw new Error('Failed to fetch visitor session token');
+  // Register a listener that destroy() will remove
+  listen(target, type, handler, listenerOptions) {
+    target.addEventListener(type, handler, listenerOptions);
+    this.cleanups.push(() => target.removeEventListener(type, handler, listenerOptions));
+  }
 
-    const data = await response.json();
-    localStorage.setItem('visitorSessionToken', data.token);
-    return data.token;
-  } catch (error) {
-    console.error('Error getting visitor session token:', error);
-    return null;
+  // Dispatch a `ufs:<type>` CustomEvent on the widget root
+  emit(type, detail = {}) {
+    this.root.dispatchEvent(new CustomEvent(`ufs:${type}`, {
+      bubbles: true,
+      detail: { widget: this, ...detail },
+    }));
+  }
+
+  // Middleware registered on the class runs before this widget's own, in order of registration
+  getMiddleware(stage) {
+    return [...UltraFastSearch.middleware, ...this.middleware].filter(mw => typeof mw[stage] === 'function');
+  }
+
+  // `query` and `results` stages may be async; returning undefined keeps the value
+  async runMiddleware(stage, value, context) {
+    for (const mw of this.getMiddleware(stage)) {
+      const next = await mw[stage](value, { widget: this, ...context });
+      if (next !== undefined) value = next;
+    }
+    return value;
+  }
+
+  // Card middleware runs synchronously while a page renders
+  decorateCard(card) {
+    for (const mw of this.getMiddleware('card')) {
+      try {
+        const next = mw.card({ ...card }, { widget: this, query: this.state.query });
+        if (next) card = { ...card, ...next };
+      } catch (error) {
+        console.error('❌ Card middleware failed:', error);
+      }
+    }
+    return card;
+  }
+
+  setTimer(callback, delay) {
+    const timerId = setTimeout(() => {
+      this.timers.delete(timerId);
+      callback();
+    }, delay);
+    this.timers.add(timerId);
+    return timerId;
+  }
+
+  clearTimer(timerId) {
+    clearTimeout(timerId);
+    this.timers.delete(timerId);
+  }
+
+  async init() {
+    loadFontsAsync();
+
+    if (!this.configElement && !this.options.selectedOption) {
+      console.error("'search-config' div not found.");
+      return;
+    }
+
+    // Optional: load a custom fonts stylesheet supplied by the app
+    if (this.options.customFontsLink) {
+      loadCustomFontsFromLink(this.options.customFontsLink);
+    }
+
+    const wrapper = this.root.querySelector(".searchresultformwrapper");
+    this.form = wrapper?.querySelector("form.w-form");
+    this.input = wrapper?.querySelector("input[name='query']");
+    this.resultsContainer = this.root.querySelector(".searchresults");
+    // The designer's own content (templates included), put back by destroy()
+    this.resultsContainerNodes = this.resultsContainer ? [...this.resultsContainer.childNodes] : [];
+
+    if (this.input) {
+      this.input.style.borderRadius = '8px';
+    }
+
+    const submitButton = this.form?.querySelector("input[type='submit']");
+    if (submitButton) {
+      submitButton.style.display = "none";
+    }
+
+    if (!this.form || !this.input || !this.resultsContainer) {
+      console.warn("Search form or elements not found.");
+      return;
+    }
+
+    this.form.removeAttribute("action");
+    this.form.setAttribute("action", "#");
+
+    const cacheReady = prepareSearchCache(this.siteName, this.options.contentVersion);
+    const tokenReady = getVisitorSessionToken(this.backend).then(token => {
+      this.token = token;
+      console.log("Generated Token: ", this.token);
+    });
+    // With an offline index the widget can answer while the worker is slow or down,
+    // so it starts without waiting for the token
+    if (!this.options.offlineIndexUrl) {
+      await tokenReady;
+    }
+    await cacheReady;
+    if (this.destroyed) return;
+
+    if (!this.setupSearchBar()) return;
+    this.setupAnalytics();
+    this.injectStyles();
+    this.setupSuggestions();
+    this.setupSpinner();
+    this.bindEvents();
+
+    // Handle URL-based searches immediately on page load
+    const urlState = this.options.urlSync ? readUrlState() : null;
+    if (urlState && urlState.query) {
+      console.log('🚀 Results page detected, starting search immediately for:', urlState.query);
+      this.restoreUrlState(urlState);
+      this.setTimer(() => {
+        this.performSearchFast(urlState.query, { restored: isRepeatedNavigation() });
+      }, 100);
+    }
+  }
+
+  setupSearchBar() {
+    const iconContainer = this.root.querySelector(".searchiconcontainer");
+
+    if (this.options.searchBarType === "Icon") {
+      this.form.style.display = "none";
+      if (!iconContainer) {
+        console.error("'.searchiconcontainer' element not found.");
+        return false;
+      }
+      iconContainer.style.cursor = "pointer";
+      iconContainer.style.display = "";
+      this.listen(iconContainer, "click", () => {
+        this.form.style.display = "";
+        this.input.focus();
+      });
+    } else {
+      this.form.style.display = "";
+      if (iconContainer) iconContainer.style.display = "none";
+    }
+    return true;
+  }
+
+  // CSS injection
+  // The shared stylesheet goes first in <head> so page styles override it; the
+  // widget's own custom properties are appended after it
+  injectStyles() {
+    if (!document.head.querySelector('style[data-ufs-base]')) {
+      const baseStyle = document.createElement("style");
+      baseStyle.setAttribute('data-ufs-base', '');
+      baseStyle.textContent = buildSearchStyles();
+      document.head.prepend(baseStyle);
+    }
+
+    this.styleEl = document.createElement("style");
+    this.styleEl.setAttribute('data-ufs-styles', String(this.id));
+    this.styleEl.textContent = buildThemeStyles(this.id, this.options.styles, this.options.displayMode);
+    document.head.appendChild(this.styleEl);
+
+    this.applyTheme(this.resultsContainer);
+    this.applyTheme(this.input.parentNode);
   }
-}
 
-// ===== MAIN INITIALIZATION =====
-document.addEventListener("DOMContentLoaded", async function () {
-  loadFontsAsync();
-  
-  const searchConfigDiv = document.querySelector('#search-config');
-  if (!searchConfigDiv) {
-    console.error("'search-config' div not found.");
-    return;
+  // Scope an element to this widget's custom properties and pinned theme
+  applyTheme(element) {
+    if (!element) return;
+    if (!this.themedElements.has(element)) {
+      this.themedElements.set(element, {
+        hadClass: element.classList.contains('ufs-theme'),
+        theme: element.getAttribute('data-theme'),
+        dir: element.getAttribute('dir'),
+      });
+    }
+    element.classList.add('ufs-theme');
+    element.setAttribute('data-ufs-instance', String(this.id));
+    element.setAttribute('dir', this.direction);
+    const theme = this.options.theme;
+    if (theme === 'light' || theme === 'dark') {
+      element.setAttribute('data-theme', theme);
+    } else {
+      const original = this.themedElements.get(element).theme;
+      if (original === null) element.removeAttribute('data-theme');
+      else element.setAttribute('data-theme', original);
+    }
   }
 
-  // Optional: load a custom fonts stylesheet supplied by the app
-  const customFontsLink = searchConfigDiv.getAttribute('data-google-fonts-link') || searchConfigDiv.getAttribute('data-custom-fonts-link');
-  if (customFontsLink) {
-    loadCustomFontsFromLink(customFontsLink);
-  }
-
-  const selectedCollections = JSON.parse(searchConfigDiv.getAttribute('data-selected-collections') || '[]');
-  const selectedFieldsSearch = JSON.parse(searchConfigDiv.getAttribute('data-selected-fields-search') || '[]');
-  const selectedFieldsDisplay = JSON.parse(searchConfigDiv.getAttribute('data-selected-fields-display') || '[]');
-  const selectedOption = searchConfigDiv.getAttribute('data-selected-option');
-  const displayMode = searchConfigDiv.getAttribute('data-display-mode');
-  const paginationType = searchConfigDiv.getAttribute('data-pagination-type') || "None";
-  const gridRows = parseInt(searchConfigDiv.getAttribute('data-grid-rows'), 10) || 1;
-  const gridColumns = parseInt(searchConfigDiv.getAttribute('data-grid-columns'), 10) || 1;
-  const itemsPerPage = parseInt(searchConfigDiv.getAttribute('data-items-per-page'), 10) || 10;
-  const searchBarType = searchConfigDiv.getAttribute('data-search-bar');
-
-  const titleFontSize = searchConfigDiv.getAttribute("data-title-font-size") || "16px";
-  const titleFontFamily = searchConfigDiv.getAttribute("data-title-font-family") || "Arial";
-  const titleColor = searchConfigDiv.getAttribute("data-title-color") || "#000";
-  const otherFieldsColor = searchConfigDiv.getAttribute("data-other-fields-color") || "#333";
-  const otherFieldsFontSize = searchConfigDiv.getAttribute("data-other-fields-font-size") || "14px";
-  const borderRadius = searchConfigDiv.getAttribute("data-border-radius") || "6px";
-  const boxShadow = searchConfigDiv.getAttribute("data-box-shadow") === "true";
-  const titleFontWeight = searchConfigDiv.getAttribute("data-title-font-weight") || "font-bold";
-  const otherFieldsFontFamily = searchConfigDiv.getAttribute("data-other-fields-font-family") || "Arial";
-  const otherFieldsFontWeight = searchConfigDiv.getAttribute("data-other-font-weight") || "font-normal";
-  const backgroundColor = searchConfigDiv.getAttribute("data-background-color") || "#fff";
-  const headingAlignment = searchConfigDiv.getAttribute("data-heading-alignment") || "left";
-  const bodyAlignment = searchConfigDiv.getAttribute("data-body-alignment") || "left";
-
-  const maxItems = displayMode === "Grid" ? gridRows * gridColumns : itemsPerPage;
-  const collectionsParam = encodeURIComponent(JSON.stringify(selectedCollections));
-  const fieldsSearchParam = encodeURIComponent(JSON.stringify(selectedFieldsSearch));
-  const fieldsDisplayParam = encodeURIComponent(JSON.stringify(selectedFieldsDisplay));
-
-  const styles = {
-    titleFontSize,
-    titleFontFamily,
-    titleColor,
-    titleFontWeight,
-    otherFieldsColor,
-    otherFieldsFontSize,
-    otherFieldsFontFamily,
-    otherFieldsFontWeight,
-    borderRadius,
-    backgroundColor,
-    boxShadow,
-    headingAlignment,
-    bodyAlignment,
-  };
+  // Create suggestion box
+  setupSuggestions() {
+    this.suggestionBox = this.root.querySelector(".searchsuggestionbox");
+    this.ownsSuggestionBox = !this.suggestionBox;
+    if (!this.suggestionBox) {
+      this.suggestionBox = document.createElement("div");
+      this.suggestionBox.className = "searchsuggestionbox";
+      this.input.parentNode.style.position = "relative";
+      this.input.parentNode.appendChild(this.suggestionBox);
+    }
+    if (!this.suggestionBox.id) {
+      this.suggestionBox.id = `ufs-suggestions-${this.id}`;
+    }
+    this.applyTheme(this.suggestionBox);
 
-  const wrapper = document.querySelector(".searchresultformwrapper");
-  const form = wrapper?.querySelector("form.w-form");
-  const input = wrapper?.querySelector("input[name='query']");
-  const resultsContainer = document.querySelector(".searchresults");
-  const siteName = window.location.hostname.replace(/^www\./, '').split('.')[0];
+    // WAI-ARIA combobox: focus stays on the input, the active option is announced
+    // through aria-activedescendant. The listbox is rendered inside the box, next to
+    // controls (Clear all) that a listbox may not contain.
+    this.input.setAttribute('role', 'combobox');
+    this.input.setAttribute('aria-autocomplete', 'list');
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.setAttribute('aria-controls', `${this.suggestionBox.id}-listbox`);
+  }
 
-  if (input) {
-    input.style.borderRadius = '8px';
+  showSuggestionBox() {
+    this.suggestionBox.style.display = "block";
+    this.input.setAttribute('aria-expanded', 'true');
   }
 
-  const submitButton = form?.querySelector("input[type='submit']");
-  if (submitButton) {
-    submitButton.style.display = "none";
+  hideSuggestions() {
+    this.suggestionBox.style.display = "none";
+    this.suggestionBox.innerHTML = "";
+    this.activeSuggestionIndex = -1;
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
   }
 
-  if (!form || !input || !resultsContainer) {
-    console.warn("Search form or elements not found.");
-    return;
+  clearActiveSuggestion() {
+    const items = this.suggestionBox.querySelectorAll('.suggestion-item');
+    items.forEach(el => {
+      el.classList.remove('active');
+      el.setAttribute('aria-selected', 'false');
+    });
+    this.input.removeAttribute('aria-activedescendant');
   }
 
-  form.removeAttribute("action");
-  form.setAttribute("action", "#");
+  setActiveSuggestion(index) {
+    const items = this.suggestionBox.querySelectorAll('.suggestion-item');
+    if (items.length === 0) return;
+    this.activeSuggestionIndex = ((index % items.length) + items.length) % items.length; // wrap
+    this.clearActiveSuggestion();
+    const active = items[this.activeSuggestionIndex];
+    if (active) {
+      active.classList.add('active');
+      active.setAttribute('aria-selected', 'true');
+      this.input.setAttribute('aria-activedescendant', active.id);
+      active.scrollIntoView({ block: 'nearest' });
+    }
+  }
 
-  const token = await getVisitorSessionToken();
-  console.log("Generated Token: ", token);
+  selectActiveSuggestion() {
+    const items = this.suggestionBox.querySelectorAll('.suggestion-item');
+    const active = items[this.activeSuggestionIndex];
+    if (active) this.chooseSuggestion(active);
+  }
 
-  if (searchBarType === "Icon") {
-    form.style.display = "none";
-    const iconContainer = document.querySelector(".searchiconcontainer");
-    if (!iconContainer) {
-      console.error("'.searchiconcontainer' element not found.");
+  // Text suggestions run a search; result previews open their page directly
+  chooseSuggestion(option) {
+    if (option.classList.contains('preview-item')) {
+      const position = parseInt(option.getAttribute('data-preview-index'), 10);
+      const item = this.previewResults[position];
+      const url = getResultUrl(item);
+      this.emit('result-click', { query: this.input.value.trim(), item, position: position + 1, url });
+      this.hideSuggestions();
+      window.location.assign(sanitizeUrl(url));
       return;
     }
-    iconContainer.style.cursor = "pointer";
-    iconContainer.style.display = "";
-    iconContainer.addEventListener("click", () => {
-      form.style.display = "";
-      input.focus();
+    this.emitSuggestionSelect(option);
+    this.input.value = getSuggestionValue(option);
+    this.hideSuggestions();
+    this.performSearchFast();
+  }
+
+  emitSuggestionSelect(option) {
+    this.emit('suggestion-select', {
+      query: this.input.value.trim(),
+      suggestion: getSuggestionValue(option),
+      position: parseInt(option.getAttribute('data-index'), 10) + 1,
     });
-  } else {
-    form.style.display = "";
-    const iconContainer = document.querySelector(".searchiconcontainer");
-    if (iconContainer) iconContainer.style.display = "none";
   }
 
-  function sanitizeText(text) {
-    const div = document.createElement("div");
-    div.innerHTML = text;
-    return div.textContent || div.innerText || "";
+  rememberSearch(query) {
+    if (this.options.recentSearches) {
+      addRecentSearch(this.siteName, query);
+    }
   }
 
-  function toTitleCase(str) {
-    return str.replace(/\w\S*/g, (txt) =>
-      txt.charAt(0).toUpperCase() + txt.slice(1).toLowerCase()
-    );
+  // Recent searches that contain what is typed; all of them for an empty input
+  getMatchingRecentSearches(query) {
+    if (!this.options.recentSearches) return [];
+    const recent = getRecentSearches(this.siteName);
+    if (!query) return recent;
+    const folded = foldSearchText(query);
+    return recent
+      .filter(entry => foldSearchText(entry).includes(folded))
+      .slice(0, RECENT_SEARCHES_WHILE_TYPING);
   }
 
-  // CSS injection
-  const style = document.createElement("style");
-  style.textContent = `
-    .searchsuggestionbox {
-      position: absolute;
-      top: 100%;
-      left: 0;
-      background: white;
-      border: 1px solid #ccc;
-      max-height: 200px;
-      overflow-y: auto;
-      width: 100%;
-      display: none;
-      z-index: 1000;
-      box-shadow: 0 4px 8px rgba(0,0,0,0.1);
-    }
-    
-    .searchsuggestionbox .suggestion-item {
-      padding: 8px;
-      cursor: pointer;
-      color: black;
-      font-size: 12px;
-      font-family: 'Inter', 'Arial', sans-serif;
-      line-height: 1.4;
-      background: white;
-      border: none;
-      text-transform: capitalize;
-      white-space: normal;
-    }
-    
-    .searchsuggestionbox .suggestion-item:hover {
-      background-color: #eee;
-    }
-    .searchsuggestionbox .suggestion-item.active {
-      background-color: #e6f0ff;
-    }
-    .searchsuggestionbox .suggestion-item:focus {
-      outline: none;
-      background-color: #e6f0ff;
-    }
-    
-    .search-results-wrapper {
-      display: grid;
-      gap: 1rem;
-      width: 100%;
-      max-width: 100%;
-      box-sizing: border-box;
-      overflow: hidden;
-    }
-    
-    .search-results-wrapper.list-mode {
-      display: block;
-      width: 100%;
-      max-width: 100%;
-    }
-    
-    @media (max-width: 479px) {
-      .search-results-wrapper {
-        grid-template-columns: 1fr;
-      }
-    }
-    
-    @media (min-width: 480px) and (max-width: 767px) {
-      .search-results-wrapper {
-        grid-template-columns: repeat(2, 1fr);
-      }
-    }
-    
-    @media (min-width: 768px) and (max-width: 991px) {
-      .search-results-wrapper {
-        grid-template-columns: repeat(3, 1fr);
-      }
-    }
-    
-    @media (min-width: 992px) {
-      .search-results-wrapper {
-        grid-template-columns: repeat(4, 1fr);
-      }
-    }
-    
-    .pagination {
-      display: flex;
-      justify-content: center;
-      align-items: center;
-      flex-wrap: wrap;
-      gap: 8px;
-      padding: 10px;
-      box-sizing: border-box;
-      margin-top: 1rem;
-    }
-    
-    .pagination-button {
-      min-width: 40px;
-      height: 40px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      border: 1px solid #ddd;
-      border-radius: 4px;
-      background: white;
-      cursor: pointer;
-      transition: all 0.2s ease;
-      font-size: 14px;
-      line-height: 1;
-      text-decoration: none;
-    }
-    
-    .pagination-button:hover {
-      background: #f5f5f5;
-      border-color: #0073e6;
-    }
-    
-    .pagination-button.current-page {
-      background: #0073e6;
-      color: white;
-      border-color: #0073e6;
-      font-weight: bold;
-    }
-    
-    #search-spinner {
-      display: flex;
-      justify-content: center;
-      align-items: center;
-      min-height: 60px;
-    }
-    
-    .spinner {
-      border: 4px solid #f3f3f3;
-      border-top: 4px solid #0073e6;
-      border-radius: 50%;
-      width: 32px;
-      height: 32px;
-      animation: spin 1s linear infinite;
-    }
-    
-    @keyframes spin {
-      0% { transform: rotate(0deg); }
-      100% { transform: rotate(360deg); }
-    }
-    
-    .search-result-item img {
-      max-width: 100%;
-      height: auto;
-      border-radius: 4px;
-      margin: 0.5rem 0;
-      display: block;
-      object-fit: cover;
-    }
-    
-    .grid-item img {
-      max-height: 150px;
-      width: 100%;
-      object-fit: cover;
-    }
-    
-    mark {
-      background-color: #ffeb3b;
-      color: #000;
-      padding: 0.1em 0.2em;
-      border-radius: 2px;
-      font-weight: bold;
-    }
-    
-    .list-item {
-      display: block;
-      width: 100%;
-      margin-bottom: 1rem;
-      padding: 1rem;
-      background: #fff;
-      border: 1px solid #ddd;
-      border-radius: 6px;
-      box-shadow: 0 2px 6px rgba(0, 0, 0, 0.1);
-      box-sizing: border-box;
-      word-wrap: break-word;
-    }
-    
-    .list-item:hover {
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-      transform: translateY(-1px);
-      transition: all 0.2s ease;
-    }
-    
-    .list-item a {
-      display: block;
-      text-decoration: none;
-      color: inherit;
-      margin-bottom: 0.5rem;
+  // Suggestion handling: recent searches show at once, live suggestions after a short
+  // pause in typing. Answers already cached for the query (or known to be empty for
+  // one of its prefixes) skip the request.
+  scheduleSuggestions() {
+    this.clearTimer(this.suggestionTimer);
+    const query = this.input.value.trim();
+    const cached = query ? this.getCachedSuggestions(query) : [];
+
+    if (cached) {
+      this.cancelSuggestions();
+      this.liveSuggestions = cached;
+      this.renderSuggestions();
+      return;
     }
-    
-    .list-item a:hover {
-      text-decoration: underline;
+    this.suggestionTimer = this.setTimer(() => this.updateSuggestions(), this.options.suggestionDebounce);
+  }
+
+  cancelSuggestions() {
+    if (this.suggestionController) {
+      this.suggestionController.abort();
+      this.suggestionController = null;
     }
-    
-    .list-item img {
-      max-width: 200px !important;
-      max-height: 100px !important;
-      width: auto !important;
-      height: auto !important;
-      float: right;
-      margin-left: 1rem;
-      margin-bottom: 0.5rem;
-      border-radius: 4px;
-      object-fit: cover;
+  }
+
+  getCachedSuggestions(query) {
+    const key = foldSearchText(query);
+    if (this.suggestionCache.has(key)) {
+      const cached = this.suggestionCache.get(key);
+      // Refresh its LRU position
+      this.suggestionCache.delete(key);
+      this.suggestionCache.set(key, cached);
+      return cached;
     }
-    
-    @media (max-width: 768px) {
-      .list-item img {
-        max-width: 150px !important;
-        max-height: 80px !important;
-        float: none;
-        margin-left: 0;
-        margin-bottom: 0.5rem;
-        display: block;
-      }
+    for (const [prefix, suggestions] of this.suggestionCache) {
+      if (suggestions.length === 0 && key.startsWith(prefix)) return [];
     }
-    
-    @media (max-width: 768px) {
-      .list-item {
-        padding: 0.75rem;
-        margin-bottom: 0.75rem;
-      }
+    return null;
+  }
+
+  cacheSuggestions(query, suggestions) {
+    const key = foldSearchText(query);
+    this.suggestionCache.delete(key);
+    this.suggestionCache.set(key, suggestions);
+    if (this.suggestionCache.size > SUGGESTION_CACHE_SIZE) {
+      this.suggestionCache.delete(this.suggestionCache.keys().next().value);
     }
-    
-    @media (max-width: 480px) {
-      .list-item {
-        padding: 0.5rem;
-        margin-bottom: 0.5rem;
-        border-radius: 4px;
-      }
+  }
+
+  async updateSuggestions() {
+    const query = this.input.value.trim();
+    if (!query) return;
+
+    this.cancelSuggestions();
+    const controller = new AbortController();
+    this.suggestionController = controller;
+
+    let live = [];
+    try {
+      const data = await this.backend.suggestions({
+        query,
+        siteName: this.siteName,
+        collections: this.selectedCollections,
+        searchFields: this.selectedFieldsSearch,
+        signal: controller.signal,
+      });
+      // A newer keystroke has taken over; drop this response
+      if (this.destroyed || controller !== this.suggestionController) return;
+      live = (data.suggestions || []).map(normalizeSuggestion).filter(Boolean);
+      this.cacheSuggestions(query, live);
+    } catch (err) {
+      if (err.name === 'AbortError' || controller !== this.suggestionController) return;
+      console.error("Failed to fetch suggestions:", err);
     }
-    
-    /* Responsive padding for search results */
-    .search-results-section.grid-mode {
-      padding: 0 5% !important;
+
+    this.suggestionController = null;
+    if (this.input.value.trim() !== query) return;
+    this.liveSuggestions = live;
+    this.renderSuggestions();
+  }
+
+  // Rebuild the dropdown from the stored recent searches and the last live suggestions
+  renderSuggestions() {
+    const { t } = this;
+    const query = this.input.value.trim();
+    const recent = this.getMatchingRecentSearches(query);
+    const recentKeys = new Set(recent.map(foldSearchText));
+    const live = this.liveSuggestions.filter(s => !recentKeys.has(foldSearchText(s.text)));
+    // Previews belong to the query they were preloaded for
+    const previews = query && foldSearchText(query) === foldSearchText(this.previewQuery)
+      ? this.previewResults
+      : [];
+
+    if (recent.length === 0 && live.length === 0 && previews.length === 0) {
+      this.hideSuggestions();
+      return;
     }
-    
-    .search-results-section.list-mode {
-      padding: 0 20% !important;
+
+    const boxId = this.suggestionBox.id;
+    let index = 0;
+    const option = (value, className, innerHtml, attrs = '') => {
+      const i = index++;
+      return `<div class="suggestion-item ${className}" id="${boxId}-option-${i}" role="option" aria-selected="false" tabindex="-1" data-index="${i}" data-value="${escapeHtml(value)}"${attrs}>${innerHtml}</div>`;
+    };
+
+    let html = '';
+    if (recent.length > 0) {
+      html += `<div class="suggestion-group recent-searches" role="group" aria-labelledby="${boxId}-recent-label">
+        <div class="suggestion-group-header" role="presentation">
+          <span class="suggestion-group-label" id="${boxId}-recent-label">${escapeHtml(t('recentSearches'))}</span>
+        </div>
+        ${recent.map(entry => option(entry, 'recent-item', `
+          <span class="suggestion-text">${escapeHtml(entry)}</span>
+          <span class="suggestion-remove" aria-hidden="true" title="${escapeHtml(t('removeRecent', { query: entry }))}">×</span>
+        `)).join('')}
+      </div>`;
     }
-    
-    @media (max-width: 1200px) {
-      .search-results-section.grid-mode {
-        padding: 0 3% !important;
-      }
-      .search-results-section.list-mode {
-        padding: 0 15% !important;
-      }
+    const liveOption = s => option(s.text, 'live-item', highlightKeywords(s.text, query, 'strong'));
+    if (live.length > 0 && this.options.groupSuggestions && live.some(s => s.collection)) {
+      const groups = new Map();
+      live.forEach(s => {
+        const name = s.collection || t('otherSuggestions');
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(s);
+      });
+      let groupIndex = 0;
+      groups.forEach((items, name) => {
+        const labelId = `${boxId}-group-${groupIndex++}-label`;
+        html += `<div class="suggestion-group live-suggestions" role="group" aria-labelledby="${labelId}">
+          <div class="suggestion-group-header" role="presentation">
+            <span class="suggestion-group-label" id="${labelId}">${escapeHtml(name)}</span>
+          </div>
+          ${items.map(liveOption).join('')}
+        </div>`;
+      });
+    } else if (live.length > 0) {
+      html += `<div class="suggestion-group live-suggestions" role="group" aria-label="${escapeHtml(t('suggestions'))}">
+        ${live.map(liveOption).join('')}
+      </div>`;
     }
-    
-    @media (max-width: 768px) {
-      .search-results-section.grid-mode {
-        padding: 0 2% !important;
-      }
-      .search-results-section.list-mode {
-        padding: 0 10% !important;
-      }
+
+    if (previews.length > 0) {
+      html += `<div class="suggestion-group result-previews" role="group" aria-labelledby="${boxId}-previews-label">
+        <div class="suggestion-group-header" role="presentation">
+          <span class="suggestion-group-label" id="${boxId}-previews-label">${escapeHtml(t('topResults'))}</span>
+        </div>
+        ${previews.map((item, i) => {
+          const title = getResultTitle(item, t);
+          const image = getPrimaryImage(item);
+          const imageUrl = image ? sanitizeUrl(getImageUrl(image), { fallback: '', allowDataImages: true }) : '';
+          const badge = item._type === 'cms' ? (getResultCollection(item) || t('typeCms')) : t('typePage');
+          return option(title, 'preview-item', `
+            ${imageUrl ? `<img class="preview-thumbnail" src="${escapeHtml(imageUrl)}" alt="">` : '<span class="preview-thumbnail" aria-hidden="true"></span>'}
+            <span class="preview-title">${highlightKeywords(title, query, 'strong')}</span>
+            <span class="preview-badge">${escapeHtml(badge)}</span>
+          `, ` data-preview-index="${i}"`);
+        }).join('')}
+      </div>`;
     }
-    
-    @media (max-width: 480px) {
-      .search-results-section {
-        padding: 0 5% !important;
-      }
+
+    // A listbox holds only options and groups, so Clear all goes after it
+    html = `<div class="suggestion-list" id="${boxId}-listbox" role="listbox" aria-label="${escapeHtml(t('suggestionsLabel'))}">${html}</div>`;
+    if (recent.length > 0) {
+      html += `<div class="suggestion-actions">
+        <button type="button" class="suggestion-clear-all" tabindex="-1">${escapeHtml(t('clearRecent'))}</button>
+      </div>`;
     }
-    
-    .read-more-btn {
-      background: #0073e6 !important;
-      color: white !important;
-      border: none !important;
-      padding: 4px 8px !important;
-      border-radius: 4px !important;
-      font-size: 12px !important;
-      cursor: pointer !important;
-      margin-top: 0.5rem !important;
-      transition: all 0.2s ease !important;
+    this.suggestionBox.innerHTML = html;
+    this.input.removeAttribute('aria-activedescendant');
+    this.showSuggestionBox();
+
+    this.suggestionBox.querySelectorAll('.suggestion-item').forEach(item => {
+      item.addEventListener('click', () => this.chooseSuggestion(item));
+      item.addEventListener('mousemove', () => {
+        const idx = parseInt(item.getAttribute('data-index'));
+        if (!isNaN(idx)) this.setActiveSuggestion(idx);
+      });
+    });
+
+    // Removing must not select the entry or close the dropdown (see the document click handler).
+    // The × is for the mouse; from the keyboard, Delete removes the highlighted entry.
+    this.suggestionBox.querySelectorAll('.suggestion-remove').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.removeRecentEntry(getSuggestionValue(button.closest('.suggestion-item')));
+      });
+    });
+    const clearAll = this.suggestionBox.querySelector('.suggestion-clear-all');
+    if (clearAll) {
+      clearAll.addEventListener('click', (e) => {
+        e.stopPropagation();
+        clearRecentSearches(this.siteName);
+        this.renderSuggestions();
+        this.input.focus();
+      });
     }
-    
-    .read-more-btn:hover {
-      background: #005bb5 !important;
-      transform: translateY(-1px) !important;
+
+    // reset active index each time we render
+    this.activeSuggestionIndex = -1;
+  }
+
+  removeRecentEntry(entry) {
+    const activeIndex = this.activeSuggestionIndex;
+    removeRecentSearch(this.siteName, entry);
+    this.renderSuggestions();
+    const count = this.suggestionBox.querySelectorAll('.suggestion-item').length;
+    if (activeIndex >= 0 && count > 0) {
+      this.setActiveSuggestion(Math.min(activeIndex, count - 1));
     }
-    
-    .content-preview {
-      position: relative;
+    this.input.focus();
+  }
+
+  // Create spinner
+  setupSpinner() {
+    this.spinner = document.createElement("div");
+    this.spinner.className = "search-spinner";
+    this.spinner.id = `search-spinner-${this.id}`;
+    this.spinner.style.display = "none";
+    this.spinner.innerHTML = this.renderState('loading');
+    this.applyTheme(this.spinner);
+    document.body.appendChild(this.spinner);
+  }
+
+  showSpinner() {
+    if (this.destroyed) return;
+    this.spinner.style.display = "flex";
+    this.resultsContainer.parentNode.insertBefore(this.spinner, this.resultsContainer);
+  }
+
+  hideSpinner() {
+    this.spinner.style.display = "none";
+  }
+
+  // `restored`: the search replays one from the URL rather than one the visitor made
+  showSearchResults(batch, query, { restored = false } = {}) {
+    const state = this.state;
+    const urlState = this.pendingUrlState && this.pendingUrlState.query === query ? this.pendingUrlState : null;
+    this.pendingUrlState = null;
+    if (urlState) {
+      state.selectedFacets = urlState.selectedFacets;
+      state.page = urlState.page;
+    } else if (query !== state.query) {
+      state.selectedFacets = {};
+      state.page = 1;
     }
-    
-    .content-preview::after {
-      content: '';
-      position: absolute;
-      bottom: 0;
-      left: 0;
-      right: 0;
-      height: 20px;
-      background: linear-gradient(transparent, ${backgroundColor});
-      pointer-events: none;
+    state.results = batch.results;
+    state.query = query;
+    state.hasMore = batch.hasMore;
+    state.total = batch.total ?? batch.results.length + (batch.hasMore ? 1 : 0);
+    state.loadedBatches = batch.loadedBatches || 1;
+
+    this.renderResultsView();
+    this.syncUrl();
+    this.emit('results', {
+      query,
+      results: [...state.results],
+      total: state.total,
+      hasMore: state.hasMore,
+      fromCache: 'isStale' in batch,
+      restored,
+    });
+  }
+
+  // Rebuild facet bar, sort control and results for the current state
+  renderResultsView() {
+    const { options, resultsContainer } = this;
+    if (this.combinedResultsDiv) cleanupResults(this.combinedResultsDiv);
+    resultsContainer.innerHTML = "";
+    this.facetBarEl = null;
+    this.resultCountEl = null;
+    this.combinedResultsDiv = null;
+
+    if (this.state.results.length === 0) {
+      resultsContainer.innerHTML = this.renderState('empty', { query: this.state.query });
+      return;
     }
-    
-    #read-more-overlay {
-      backdrop-filter: blur(5px);
+
+    if (options.showFacets) {
+      this.facetBarEl = document.createElement("div");
+      this.facetBarEl.className = "search-facets";
+      resultsContainer.appendChild(this.facetBarEl);
     }
-    
-    #read-more-overlay .content {
-      animation: slideIn 0.3s ease-out;
+
+    if (options.showSort) {
+      const sortBar = document.createElement("div");
+      sortBar.className = "search-sort";
+      renderSortControl(sortBar, this.state.sort, (sortOrder) => {
+        this.state.sort = sortOrder;
+        this.state.page = 1;
+        this.renderFilteredResults();
+        this.syncUrl();
+      }, this.t);
+      resultsContainer.appendChild(sortBar);
     }
-    
-    @keyframes slideIn {
-      from {
-        opacity: 0;
-        transform: scale(0.9) translateY(20px);
-      }
-      to {
-        opacity: 1;
-        transform: scale(1) translateY(0);
+
+    this.resultCountEl = document.createElement("p");
+    this.resultCountEl.className = "search-results-count";
+    this.resultCountEl.setAttribute("role", "status");
+    resultsContainer.appendChild(this.resultCountEl);
+
+    this.combinedResultsDiv = document.createElement("div");
+    this.combinedResultsDiv.classList.add("combined-search-results");
+    resultsContainer.appendChild(this.combinedResultsDiv);
+    this.renderFilteredResults();
+  }
+
+  toggleFacet(field, value) {
+    const selectedFacets = this.state.selectedFacets;
+    const values = selectedFacets[field] || [];
+    this.state.selectedFacets = {
+      ...selectedFacets,
+      [field]: values.includes(value) ? values.filter(v => v !== value) : [...values, value],
+    };
+  }
+
+  hasActiveFacets() {
+    return Object.values(this.state.selectedFacets).some(values => values.length > 0);
+  }
+
+  refreshFacetBar() {
+    if (!this.facetBarEl) return;
+    const { results, selectedFacets } = this.state;
+    renderFacetBar(this.facetBarEl, buildFacets(results, this.facetFields, selectedFacets), selectedFacets, (field, value) => {
+      this.toggleFacet(field, value);
+      this.state.page = 1;
+      this.renderFilteredResults();
+      this.syncUrl();
+    }, this.t);
+  }
+
+  // Fetch one server batch, from the per-batch cache when possible. A stale cached
+  // batch is returned as-is (with its `isStale` flag) and, unless `refreshStale` is false,
+  // refreshed in the background for next time; `onFetch` runs when the backend has to
+  // be asked. `signal` belongs to whoever asked: the current search or a preload.
+  // The cache holds what the backend returned for the middleware-rewritten query; the
+  // results middleware runs on every read, so adding or changing it applies to cached
+  // batches too.
+  async fetchSearchBatch(query, batchIndex, { skipCache = false, refreshStale = true, signal, onFetch } = {}) {
+    const vocabulary = await this.vocabularyReady;
+    const middlewareContext = { query, batchIndex };
+    const backendQuery = await this.runMiddleware('query', query, middlewareContext);
+    const finish = async (batch) => ({
+      ...batch,
+      results: await this.runMiddleware('results', batch.results, { ...middlewareContext, backendQuery }),
+    });
+
+    const cachedBatch = skipCache ? null : getCachedResults(backendQuery, this.cacheScope, batchIndex);
+    if (cachedBatch) {
+      if (cachedBatch.isStale && refreshStale) {
+        this.requestSearchBatch(backendQuery, batchIndex, vocabulary, signal).catch(error => {
+          if (error.name === 'AbortError') return;
+          console.log('⚠️ Background refresh failed for:', query, error.message);
+        });
       }
+      return finish(cachedBatch);
     }
-  `;
-  document.head.appendChild(style);
 
-  // Create suggestion box
-  let suggestionBox = document.querySelector(".searchsuggestionbox");
-  if (!suggestionBox) {
-    suggestionBox = document.createElement("div");
-    suggestionBox.className = "searchsuggestionbox";
-    input.parentNode.style.position = "relative";
-    input.parentNode.appendChild(suggestionBox);
+    if (onFetch) onFetch();
+    return finish(await this.requestSearchBatch(backendQuery, batchIndex, vocabulary, signal));
   }
-  suggestionBox.setAttribute('role', 'listbox');
-
-  // Keyboard navigation state for suggestions
-  let activeSuggestionIndex = -1;
 
-  function clearActiveSuggestion() {
-    const items = suggestionBox.querySelectorAll('.suggestion-item');
-    items.forEach(el => el.classList.remove('active'));
+  // One batch straight from the backend for the already rewritten query, cached before
+  // any results middleware sees it
+  async requestSearchBatch(backendQuery, batchIndex, vocabulary, signal) {
+    // The backend only sees plain text, one query per OR-ed alternative (synonyms
+    // included); phrases, exclusions and field filters are applied to what comes back
+    const parsedQuery = expandParsedQuery(parseSearchQuery(backendQuery, this.selectedFieldsSearch), vocabulary);
+    const backendQueries = getBackendQueries(parsedQuery);
+    if (backendQueries.length === 0) {
+      return { results: [], total: 0, hasMore: false };
+    }
+    const offset = batchIndex * SERVER_BATCH_SIZE;
+    const batches = await Promise.allSettled(backendQueries.map(text => executeParallelSearches(
+      text,
+      this.options.selectedOption,
+      this.siteName,
+      this.token,
+      this.selectedCollections,
+      this.selectedFieldsSearch,
+      this.selectedFieldsDisplay,
+      {
+        fusionWeights: this.options.fusionWeights,
+        offset,
+        backend: this.backend,
+        signal,
+      }
+    )));
+    const batch = mergeSearchBatches(batches, offset);
+    batch.fetchedCount = batch.results.length;
+    if (parsedQuery.hasClientConstraints) {
+      batch.results = batch.results.filter(item => matchesParsedQuery(item, parsedQuery, this.selectedFieldsSearch));
+      // The backend's count includes hits filtered out here
+      batch.total = null;
+    }
+    if (batch.results.length > 0) {
+      setCachedResults(backendQuery, this.cacheScope, batch, batchIndex);
+    }
+    return batch;
   }
 
-  function setActiveSuggestion(index) {
-    const items = suggestionBox.querySelectorAll('.suggestion-item');
-    if (items.length === 0) return;
-    activeSuggestionIndex = ((index % items.length) + items.length) % items.length; // wrap
-    clearActiveSuggestion();
-    const active = items[activeSuggestionIndex];
-    if (active) {
-      active.classList.add('active');
-      active.setAttribute('aria-selected', 'true');
-      active.scrollIntoView({ block: 'nearest' });
+  // The first batch with something to show. Client-side filters can empty whole
+  // batches, so reading goes on until a hit turns up, the backend runs out or
+  // MAX_FILTERED_BATCHES have been read; `loadedBatches` says how many were read.
+  async fetchFirstBatch(query, options = {}) {
+    let batch = await this.fetchSearchBatch(query, 0, options);
+    let loadedBatches = 1;
+    while (batch.results.length === 0 && batch.hasMore && batch.fetchedCount > 0 && loadedBatches < MAX_FILTERED_BATCHES) {
+      batch = await this.fetchSearchBatch(query, loadedBatches, options);
+      loadedBatches++;
     }
+    return { ...batch, loadedBatches };
   }
 
-  function selectActiveSuggestion() {
-    const items = suggestionBox.querySelectorAll('.suggestion-item');
-    const active = items[activeSuggestionIndex];
-    if (!active) return;
-    input.value = active.textContent || '';
-    suggestionBox.style.display = "none";
-    suggestionBox.innerHTML = "";
-    activeSuggestionIndex = -1;
-    performSearchFast();
+  // Stale-while-revalidate for the first batch: render the cached copy right away and
+  // re-render once the fresh one arrives, if it differs and the search is still current.
+  // A failed refresh keeps the cached results on screen (and in the cache).
+  showCachedBatch(cachedBatch, query, searchOptions = {}) {
+    this.showSearchResults(cachedBatch, query, searchOptions);
+    if (!cachedBatch.isStale) return;
+
+    // The refresh is part of the search: the next search cancels it, typing does not
+    const controller = this.searchController;
+    this.fetchFirstBatch(query, { skipCache: true, signal: controller.signal })
+      .then(freshBatch => {
+        if (this.destroyed || controller !== this.searchController) return;
+        if (JSON.stringify(freshBatch.results) !== JSON.stringify(cachedBatch.results)) {
+          console.log('🔄 Cached results refreshed for:', query);
+          this.showSearchResults(freshBatch, query, searchOptions);
+        }
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.log('⚠️ Background refresh failed for:', query, error.message);
+      });
   }
 
-  // Suggestion handling (LIVE SUGGESTIONS ONLY)
-  input.addEventListener("input", async () => {
-    const query = input.value.trim();
+  // Grow the loaded window until it holds `neededCount` items or the backend runs out.
+  // Batches that add nothing (filtered or repeated) end the call after MAX_FILTERED_BATCHES.
+  // A failed batch rejects and leaves hasMore and total as they were, so it can be retried.
+  async loadMoreResults(neededCount) {
+    if (this.destroyed) return null;
+    const state = this.state;
+    const query = state.query;
+    // Later batches belong to the search that loaded the first one
+    const controller = this.searchController;
+    this.showSpinner();
+    try {
+      let emptyBatches = 0;
+      while (state.results.length < neededCount && state.hasMore && emptyBatches < MAX_FILTERED_BATCHES) {
+        const batch = await this.fetchSearchBatch(query, state.loadedBatches, { signal: controller.signal });
+        if (this.destroyed || controller !== this.searchController) return null;
 
-    if (!query) {
-      suggestionBox.style.display = "none";
-      suggestionBox.innerHTML = "";
-      return;
+        const seenUrls = new Set(state.results.map(item => normalizeResultUrl(getResultUrl(item))).filter(Boolean));
+        const freshResults = batch.results.filter(item => {
+          const url = normalizeResultUrl(getResultUrl(item));
+          return !url || !seenUrls.has(url);
+        });
+
+        state.loadedBatches++;
+        state.results = state.results.concat(freshResults);
+        // A batch emptied by client-side filters is not the end of the list; one that only
+        // repeats loaded hits (a backend ignoring `offset`) is
+        state.hasMore = batch.hasMore && (batch.fetchedCount ?? batch.results.length) > 0
+          && (freshResults.length > 0 || batch.results.length === 0);
+        emptyBatches = freshResults.length > 0 ? 0 : emptyBatches + 1;
+        state.total = batch.total ?? state.results.length + (state.hasMore ? 1 : 0);
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        this.emit('error', { query, error });
+      }
+      throw error;
+    } finally {
+      this.hideSpinner();
     }
 
-    try {
-      const url = `https://search-server.long-rain-28bb.workers.dev/api/suggestions?query=${encodeURIComponent(query)}&siteName=${encodeURIComponent(siteName)}&collections=${collectionsParam}&searchFields=${fieldsSearchParam}`;
+    if (!state.hasMore) {
+      state.total = state.results.length;
+    }
+    this.refreshFacetBar();
+    return { results: state.results, totalCount: state.total };
+  }
 
-      const response = await fetch(url);
+  renderFilteredResults() {
+    const { options, state, combinedResultsDiv } = this;
+    if (!combinedResultsDiv) return;
 
-      if (!response.ok) throw new Error("Network response was not ok");
+    const filteredResults = this.facetBarEl ? applyFacetFilters(state.results, state.selectedFacets) : state.results;
+    const visibleResults = sortResults(filteredResults, state.sort, options.sortDateField);
 
-      const data = await response.json();
+    this.refreshFacetBar();
+    if (this.resultCountEl) {
+      const count = this.hasActiveFacets() ? visibleResults.length : state.total;
+      this.resultCountEl.textContent = this.t('resultCount', { count, query: state.query });
+    }
 
-      if (data.suggestions && data.suggestions.length > 0) {
-        suggestionBox.style.display = "block";
-        suggestionBox.innerHTML = data.suggestions
-          .map((s, i) => {
-            const clean = sanitizeText(s);
-            const titled = toTitleCase(clean);
-            return `<div class="suggestion-item" role="option" aria-selected="false" tabindex="-1" data-index="${i}">${titled}</div>`;
-          })
-          .join("");
-
-        suggestionBox.querySelectorAll('.suggestion-item').forEach(item => {
-          item.addEventListener('click', () => {
-            input.value = item.textContent;
-            suggestionBox.style.display = "none";
-            performSearchFast();
-          });
-          item.addEventListener('mousemove', () => {
-            const idx = parseInt(item.getAttribute('data-index'));
-            if (!isNaN(idx)) setActiveSuggestion(idx);
-          });
-        });
-        // reset active index each time we render
-        activeSuggestionIndex = -1;
-      } else {
-        suggestionBox.style.display = "none";
-        suggestionBox.innerHTML = "";
-      }
-    } catch (err) {
-      console.error("Failed to fetch suggestions:", err);
-      suggestionBox.style.display = "none";
-      suggestionBox.innerHTML = "";
+    if (visibleResults.length === 0) {
+      combinedResultsDiv.innerHTML = this.renderState('empty', { query: state.query });
+      return;
     }
-  });
 
-  // Create spinner
-  const spinner = document.createElement("div");
-  spinner.id = "search-spinner";
-  spinner.style.display = "none";
-  spinner.innerHTML = `<div class="spinner"></div>`;
-  document.body.appendChild(spinner);
+    // Server paging only applies to the plain relevance view; filtered or re-sorted
+    // views work on the batches already loaded
+    const renderOptions = {
+      onReadMore: (item) => this.openReadMore(item),
+      onResultClick: (item, position) => this.emit('result-click', { query: state.query, item, position, url: getResultUrl(item) }),
+      onPageChange: (detail) => {
+        // Load More/Infinite report how many items are shown; the URL keeps a page count.
+        // Appending only deepens the current entry, so Back leaves the results.
+        state.page = detail.shown ? Math.ceil(detail.shown / this.maxItems) : detail.page;
+        this.syncUrl({ replace: Boolean(detail.shown) });
+        this.emit('page-change', { query: state.query, ...detail });
+      },
+      decorateCard: (card) => this.decorateCard(card),
+      cardTemplate: this.templates.card,
+      pageSize: this.maxItems,
+      virtualize: options.virtualize !== false,
+      t: this.t,
+      highlightQuery: buildHighlightQuery(state.query, this.vocabulary),
+      ...(!this.hasActiveFacets() && state.sort === 'relevance'
+        ? { totalCount: state.total, fetchMore: (neededCount) => this.loadMoreResults(neededCount) }
+        : {}),
+    };
 
-  function showSpinner() {
-    spinner.style.display = "flex";
-    resultsContainer.parentNode.insertBefore(spinner, resultsContainer);
+    // Facet and sort changes reset state.page; Load More/Infinite show every page up to it
+    const appendable = options.paginationType === "Load More" || options.paginationType === "Infinite";
+    const pageSize = appendable ? this.maxItems * state.page : this.maxItems;
+    const currentPage = options.paginationType === "Numbered" ? state.page : 1;
+    renderResultsFast(visibleResults, "Search Results", options.displayMode, pageSize, options.gridColumns, options.paginationType, combinedResultsDiv, currentPage, false, options.styles, this.selectedFieldsDisplay, state.query, renderOptions);
   }
 
-  function hideSpinner() {
-    spinner.style.display = "none";
+  openReadMore(item) {
+    if (this.destroyed) return;
+    if (this.overlayHandle) {
+      this.themedElements.delete(this.overlayHandle.overlay);
+    }
+    const highlightQuery = buildHighlightQuery(this.state.query, this.vocabulary);
+    this.overlayHandle = showReadMoreOverlay(item, highlightQuery, this.options.styles, this.selectedFieldsDisplay, this.t);
+    this.applyTheme(this.overlayHandle.overlay);
+    this.emit('overlay-open', { query: this.state.query, item, overlay: this.overlayHandle.overlay });
   }
 
   // FIXED: Search function that handles query parameters properly
-  async function performSearchFast() {
-    let query = input?.value.trim();
+  // `restored` marks a search replayed from the URL (see showSearchResults)
+  async performSearchFast(queryOverride, { restored = false } = {}) {
+    let query = (queryOverride ?? this.input?.value ?? '').trim();
 
     // Check URL parameters first for results page
     if (!query) {
@@ -1421,325 +4902,458 @@ document.addEventListener("DOMContentLoaded", async function () {
       // The input field should remain independent for live suggestions
     }
 
-    if (!query) return;
+    if (!query) return [];
     
     console.log('🔍 Search query for highlighting:', query);
-    
-    const cachedResults = getCachedResults(query, selectedOption);
-    if (cachedResults) {
-      console.log('⚡ Rendering cached results instantly');
-      resultsContainer.innerHTML = "";
-      
-      if (cachedResults.length === 0) {
-        resultsContainer.innerHTML = `
-          <div style="
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            min-height: 200px;
-            text-align: center;
-            padding: 2rem;
-          ">
-            <p style="
-              color: #666;
-              font-size: 16px;
-              font-family: 'Arial', sans-serif;
-              margin: 0;
-              line-height: 1.5;
-            ">Your search did not return any results in this topic category.</p>
-          </div>
-        `;
-        return;
-      }
-      
-      const combinedResultsDiv = document.createElement("div");
-      combinedResultsDiv.classList.add("combined-search-results");
-      resultsContainer.appendChild(combinedResultsDiv);
-      renderResultsFast(cachedResults, "Search Results", displayMode, maxItems, gridColumns, paginationType, combinedResultsDiv, 1, false, styles, selectedFieldsDisplay, query);
-      return;
+    // A new search starts on the first page unless it is restoring one from the URL
+    if (!this.pendingUrlState || this.pendingUrlState.query !== query) {
+      this.pendingUrlState = null;
+      this.state.page = 1;
+    }
+    this.rememberSearch(query);
+    this.emit('search-start', { query, restored });
+
+    // Each search cancels the one before it; its controller also tells, after every
+    // await, whether this is still the latest search
+    if (this.searchController) {
+      this.searchController.abort();
     }
+    const controller = new AbortController();
+    this.searchController = controller;
+    const isCurrent = () => !this.destroyed && controller === this.searchController;
     
-    showSpinner();
-    resultsContainer.innerHTML = "";
+    this.state.loading = true;
     
     try {
       console.log('🔍 Performing fast search for:', query);
       const startTime = performance.now();
       
-      const allResults = await executeParallelSearches(
-        query, 
-        selectedOption, 
-        siteName, 
-        token, 
-        collectionsParam, 
-        fieldsSearchParam, 
-        fieldsDisplayParam
-      );
-
-      const searchTime = performance.now() - startTime;
-      console.log(`⚡ Search completed in ${searchTime.toFixed(2)}ms`);
+      // Cached results render instantly (showCachedBatch revalidates them); only a trip
+      // to the backend clears the old results and shows the spinner
+      const firstBatch = await this.fetchFirstBatch(query, {
+        signal: controller.signal,
+        refreshStale: false,
+        onFetch: () => {
+          if (!isCurrent()) return;
+          this.showSpinner();
+          this.resultsContainer.innerHTML = "";
+        },
+      });
+      if (!isCurrent()) return this.state.results;
 
-      if (allResults.length === 0) {
-        hideSpinner();
-        resultsContainer.innerHTML = `
-          <div style="
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            min-height: 200px;
-            text-align: center;
-            padding: 2rem;
-          ">
-            <p style="
-              color: #666;
-              font-size: 16px;
-              font-family: 'Arial', sans-serif;
-              margin: 0;
-              line-height: 1.5;
-            ">Your search did not return any results in this topic category.</p>
-          </div>
-        `;
-        return;
+      // A search this one cancelled may have left its spinner up
+      this.hideSpinner();
+      if ('isStale' in firstBatch) {
+        console.log('⚡ Rendering cached results instantly');
+        this.showCachedBatch(firstBatch, query, { restored });
+        return this.state.results;
       }
 
-      setCachedResults(query, selectedOption, allResults);
+      const searchTime = performance.now() - startTime;
+      console.log(`⚡ Search completed in ${searchTime.toFixed(2)}ms`);
 
-      const combinedResultsDiv = document.createElement("div");
-      combinedResultsDiv.classList.add("combined-search-results");
-      resultsContainer.appendChild(combinedResultsDiv);
-      
-      renderResultsFast(allResults, "Search Results", displayMode, maxItems, gridColumns, paginationType, combinedResultsDiv, 1, false, styles, selectedFieldsDisplay, query);
-      hideSpinner();
+      this.showSearchResults(firstBatch, query, { restored });
+      return this.state.results;
       
     } catch (error) {
+      // Cancelled or overtaken by a newer search, which renders its own results
+      if (error.name === 'AbortError' || !isCurrent()) {
+        return this.state.results;
+      }
       console.error('❌ Search error:', error);
-      resultsContainer.innerHTML = `
-        <div style="
-          display: flex;
-          justify-content: center;
-          align-items: center;
-          min-height: 200px;
-          text-align: center;
-          padding: 2rem;
-        ">
-          <p style="
-            color: #e74c3c;
-            font-size: 16px;
-            font-family: 'Arial', sans-serif;
-            margin: 0;
-            line-height: 1.5;
-          ">Error performing search. Please try again later.</p>
-        </div>
-      `;
-      hideSpinner();
+      this.resultsContainer.innerHTML = this.renderState('error', { query, message: error.message });
+      this.hideSpinner();
+      this.emit('error', { query, error });
+      return [];
+    } finally {
+      if (isCurrent()) {
+        this.state.loading = false;
+      }
     }
   }
 
   // Optimized debouncing - PRELOAD ONLY, NO DISPLAY
-  let searchDebounceTimer;
-  function optimizedDebouncedSearch() {
-    clearTimeout(searchDebounceTimer);
+  optimizedDebouncedSearch() {
+    this.clearTimer(this.searchDebounceTimer);
     
-    const query = document.querySelector("input[name='query']")?.value?.trim() || '';
+    const query = this.input.value.trim();
     
     // Only preload data in background, don't show results
     if (query.length >= 2) {
       const delay = query.length <= 2 ? 50 : Math.min(query.length * 15, 200);
-      searchDebounceTimer = setTimeout(() => {
-        preloadSearchData(query);
+      this.searchDebounceTimer = this.setTimer(() => {
+        this.preloadSearchData(query);
       }, delay);
     }
     // DON'T clear results when typing - keep existing results visible
     // Only clear if user explicitly clears the input field completely
   }
 
+  removePreloadIndicator() {
+    if (this.preloadIndicator) {
+      this.preloadIndicator.remove();
+      this.preloadIndicator = null;
+    }
+  }
+
   // Preload search data in background (without showing)
-  async function preloadSearchData(query) {
+  async preloadSearchData(query) {
+    // Preloads only cancel each other, never the search on screen
+    if (this.preloadController) {
+      this.preloadController.abort();
+    }
+    const controller = new AbortController();
+    this.preloadController = controller;
     try {
       console.log('🔄 Preloading search data for:', query);
       
-      // Show subtle loading indicator
-      const loadingIndicator = document.createElement('div');
-      loadingIndicator.id = 'preload-indicator';
-      loadingIndicator.style.cssText = `
-        position: absolute;
-        top: 5px;
-        right: 5px;
-        width: 12px;
-        height: 12px;
-        border: 2px solid #0073e6;
-        border-top: 2px solid transparent;
-        border-radius: 50%;
-        animation: spin 1s linear infinite;
-        z-index: 1000;
-      `;
-      
-      // Add to input container if not already there
-      if (!document.getElementById('preload-indicator')) {
-        input.parentNode.style.position = 'relative';
-        input.parentNode.appendChild(loadingIndicator);
+      // Show subtle loading indicator; add to input container if not already there
+      if (!this.preloadIndicator) {
+        this.preloadIndicator = document.createElement('div');
+        this.preloadIndicator.className = 'preload-indicator';
+        this.input.parentNode.style.position = 'relative';
+        this.input.parentNode.appendChild(this.preloadIndicator);
       }
       
-      const allResults = await executeParallelSearches(
-        query, 
-        selectedOption, 
-        siteName, 
-        token, 
-        collectionsParam, 
-        fieldsSearchParam, 
-        fieldsDisplayParam
-      );
-
-      // Cache the results for instant display when search button is clicked
-      setCachedResults(query, selectedOption, allResults);
+      // Caches the first batch for instant display when search button is clicked
+      const batch = await this.fetchSearchBatch(query, 0, { signal: controller.signal });
       console.log('✅ Search data preloaded and cached for:', query);
-      
-      // Remove loading indicator
-      const indicator = document.getElementById('preload-indicator');
-      if (indicator) {
-        indicator.remove();
-      }
-      
+      this.showResultPreviews(query, batch.results);
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.log('⚠️ Preload failed for:', query, error.message);
-      
-      // Remove loading indicator on error
-      const indicator = document.getElementById('preload-indicator');
-      if (indicator) {
-        indicator.remove();
+    } finally {
+      // A newer preload keeps the indicator up
+      if (controller === this.preloadController) {
+        this.removePreloadIndicator();
       }
     }
   }
 
-  // Event listeners
-  form.addEventListener("submit", (e) => {
-    e.preventDefault();
-    performSearchFast();
-  });
+  // Top hits of the preloaded batch, shown in the dropdown while the user is still typing
+  showResultPreviews(query, results) {
+    const count = this.options.suggestionPreviews;
+    if (this.destroyed || !count || this.input.value.trim() !== query) return;
+    this.previewQuery = query;
+    this.previewResults = results.slice(0, count);
+    // Once the query has been searched the results page shows these already
+    if (document.activeElement === this.input && query !== this.state.query) {
+      this.renderSuggestions();
+    }
+  }
 
-  input.addEventListener("input", () => {
-    const query = input.value.trim();
-    
-    // DON'T clear results when user is typing - keep existing results visible
-    // Only preload new data in background without clearing existing results
-    if (query.length >= 2) {
-      optimizedDebouncedSearch();
+  // ----- URL state -----
+
+  getUrlState() {
+    const { query, page, sort, selectedFacets } = this.state;
+    return { query, page, sort, defaultSort: this.getDefaultSort(), selectedFacets };
+  }
+
+  // Sort applies right away; filters and page wait for the query's results
+  restoreUrlState(urlState) {
+    this.state.sort = urlState.sort || this.getDefaultSort();
+    this.pendingUrlState = urlState;
+  }
+
+  // Adds a history entry when the view no longer matches the URL (or, with `replace`,
+  // updates the current one)
+  syncUrl({ replace = false } = {}) {
+    if (!this.options.urlSync || !this.state.query) return;
+    const current = new URL(window.location.href);
+    const next = writeUrlState(current, this.getUrlState());
+    const shown = writeUrlState(current, { ...readUrlState(current.search), defaultSort: this.getDefaultSort() });
+    if (next.href === shown.href) return;
+    if (replace) {
+      window.history.replaceState(window.history.state, '', next.href);
+    } else {
+      window.history.pushState({}, '', next.href);
     }
-    
-    // Only clear results if user explicitly clears the entire input field
-    // and there are no URL parameters indicating a results page
-    if (query === '' && !new URLSearchParams(window.location.search).get('q')) {
-      resultsContainer.innerHTML = "";
+  }
+
+  // Back/forward: re-render from the URL, searching again only if the query changed
+  handlePopState() {
+    const urlState = readUrlState();
+    if (!urlState.query) {
+      this.pendingUrlState = null;
+      Object.assign(this.state, { query: '', results: [], total: 0, hasMore: false, selectedFacets: {}, page: 1 });
+      this.resultsContainer.innerHTML = "";
+      return;
     }
-  });
 
-  // Keyboard navigation on input
-  input.addEventListener('keydown', (e) => {
-    const isOpen = (() => {
-      try {
-        const cs = window.getComputedStyle(suggestionBox);
-        return cs.display !== 'none' && suggestionBox.childElementCount > 0;
-      } catch { return false; }
-    })();
-    if (!isOpen) return;
+    this.restoreUrlState(urlState);
+    if (urlState.query === this.state.query && this.state.results.length > 0) {
+      this.pendingUrlState = null;
+      this.state.selectedFacets = urlState.selectedFacets;
+      this.state.page = urlState.page;
+      this.renderResultsView();
+    } else {
+      this.performSearchFast(urlState.query, { restored: true });
+    }
+  }
 
-    if (e.key === 'ArrowDown' || (e.key === 'Tab' && !e.shiftKey)) {
-      e.preventDefault();
-      setActiveSuggestion(activeSuggestionIndex + 1);
-    } else if (e.key === 'ArrowUp' || (e.key === 'Tab' && e.shiftKey)) {
+  // Event listeners
+  bindEvents() {
+    const { form, input, suggestionBox } = this;
+
+    this.listen(form, "submit", (e) => {
       e.preventDefault();
-      setActiveSuggestion(activeSuggestionIndex === -1 ? suggestionBox.childElementCount - 1 : activeSuggestionIndex - 1);
-    } else if (e.key === 'Enter') {
-      if (activeSuggestionIndex >= 0) {
+      this.performSearchFast();
+    });
+
+    this.listen(input, "input", () => {
+      this.scheduleSuggestions();
+
+      const query = input.value.trim();
+      
+      // DON'T clear results when user is typing - keep existing results visible
+      // Only preload new data in background without clearing existing results
+      if (query.length >= 2) {
+        this.optimizedDebouncedSearch();
+      }
+      
+      // Only clear results if user explicitly clears the entire input field
+      // and there are no URL parameters indicating a results page
+      if (query === '' && !new URLSearchParams(window.location.search).get('q')) {
+        this.resultsContainer.innerHTML = "";
+      }
+    });
+
+    // Keyboard navigation on input
+    this.listen(input, 'keydown', (e) => {
+      const optionCount = suggestionBox.querySelectorAll('.suggestion-item').length;
+      const isOpen = (() => {
+        try {
+          const cs = window.getComputedStyle(suggestionBox);
+          return cs.display !== 'none' && optionCount > 0;
+        } catch { return false; }
+      })();
+      if (!isOpen) return;
+
+      // Tab is left alone so it moves focus on, as the APG combobox pattern expects
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        this.setActiveSuggestion(this.activeSuggestionIndex + 1);
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.setActiveSuggestion(this.activeSuggestionIndex === -1 ? optionCount - 1 : this.activeSuggestionIndex - 1);
+      } else if (e.key === 'Enter') {
+        if (this.activeSuggestionIndex >= 0) {
+          e.preventDefault();
+          this.selectActiveSuggestion();
+        }
+      } else if (e.key === 'Escape') {
         e.preventDefault();
-        selectActiveSuggestion();
+        this.hideSuggestions();
+      } else if (e.key === 'Tab') {
+        this.hideSuggestions();
+      } else if (e.key === 'Delete' && this.activeSuggestionIndex >= 0) {
+        // Delete removes the highlighted recent search
+        const active = suggestionBox.querySelectorAll('.suggestion-item')[this.activeSuggestionIndex];
+        if (active && active.classList.contains('recent-item')) {
+          e.preventDefault();
+          this.removeRecentEntry(getSuggestionValue(active));
+        }
       }
-    } else if (e.key === 'Escape') {
-      suggestionBox.style.display = 'none';
-      suggestionBox.innerHTML = '';
-      activeSuggestionIndex = -1;
-    }
-  });
+    });
+
+    // An empty, focused input lists the recent searches
+    this.listen(input, 'focus', () => {
+      if (!input.value.trim()) this.scheduleSuggestions();
+    });
+
+    this.listen(document, 'click', (event) => {
+      if (!suggestionBox.contains(event.target) && event.target !== input) {
+        this.hideSuggestions();
+      }
+    });
 
-  document.addEventListener('click', (event) => {
-    if (!suggestionBox.contains(event.target) && event.target !== input) {
-      suggestionBox.style.display = "none";
+    if (this.options.urlSync) {
+      this.listen(window, 'popstate', () => this.handlePopState());
     }
-  });
 
-  // FIXED: Handle search button with ID "search-input"
-  const searchButton = document.getElementById('search-input');
-  if (searchButton) {
-    searchButton.addEventListener('click', () => {
-      const query = input.value.trim();
-      if (query) {
+    // FIXED: Handle search button with ID "search-input"
+    const searchButton = this.root.querySelector('#search-input');
+    if (searchButton) {
+      this.listen(searchButton, 'click', () => {
+        const query = input.value.trim();
+        if (!query) return;
         console.log('🔍 Search button clicked for:', query);
-        
-        // Check if we have cached results for instant display
-        const cachedResults = getCachedResults(query, selectedOption);
-        if (cachedResults) {
-          console.log('⚡ Showing cached results instantly for:', query);
-          resultsContainer.innerHTML = "";
-          
-          if (cachedResults.length === 0) {
-            resultsContainer.innerHTML = `
-              <div style="
-                display: flex;
-                justify-content: center;
-                align-items: center;
-                min-height: 200px;
-                text-align: center;
-                padding: 2rem;
-              ">
-                <p style="
-                  color: #666;
-                  font-size: 16px;
-                  font-family: 'Arial', sans-serif;
-                  margin: 0;
-                  line-height: 1.5;
-                ">Your search did not return any results in this topic category.</p>
-              </div>
-            `;
-          } else {
-            const combinedResultsDiv = document.createElement("div");
-            combinedResultsDiv.classList.add("combined-search-results");
-            resultsContainer.appendChild(combinedResultsDiv);
-            renderResultsFast(cachedResults, "Search Results", displayMode, maxItems, gridColumns, paginationType, combinedResultsDiv, 1, false, styles, selectedFieldsDisplay, query);
-          }
-          
-          // Add query parameter to URL
-          const url = new URL(window.location);
-          url.searchParams.set('q', query);
-          window.history.pushState({}, '', url.toString());
-          
-          // Reset button
-          searchButton.textContent = originalText;
-          searchButton.disabled = false;
-        } else {
-          // No cached results, perform fresh search
-          performSearchFast().then(() => {
-            // Add query parameter to URL
-            const url = new URL(window.location);
-            url.searchParams.set('q', query);
-            window.history.pushState({}, '', url.toString());
-            
-            // Reset button
-            searchButton.textContent = originalText;
-            searchButton.disabled = false;
-          });
-        }
+        // Cached results show instantly; the URL follows once results are shown
+        this.performSearchFast();
+      });
+    }
+  }
+
+  // ----- Public API -----
+
+  // Add middleware for this widget only: an object with any of
+  //   query(query, context)     -> rewritten query sent to the backend
+  //   results(results, context) -> transformed/filtered results to render (runs on cached batches too)
+  //   card(card, context)       -> card fields ({ title, url, snippet, content, image }) to render
+  // Returns a function that removes it again.
+  use(middleware) {
+    this.middleware.push(middleware);
+    return () => {
+      this.middleware = this.middleware.filter(mw => mw !== middleware);
+    };
+  }
+
+  // Run a search for `query` (also shown in the input); resolves with the loaded results
+  async search(query) {
+    await this.ready;
+    if (this.destroyed || !this.resultsContainer) return [];
+    if (this.input && typeof query === 'string') {
+      this.input.value = query;
+    }
+    return this.performSearchFast(query);
+  }
+
+  // Merge new options (same names as readSearchConfig returns) and re-render
+  setOptions(options = {}) {
+    this.options = {
+      ...this.options,
+      ...options,
+      styles: { ...this.options.styles, ...(options.styles || {}) },
+    };
+    this.applyOptions();
+    if (options.defaultSort && SORT_OPTIONS.some(option => option.value === options.defaultSort)) {
+      this.state.sort = options.defaultSort;
+    }
+    if (this.spinner) {
+      this.spinner.innerHTML = this.renderState('loading');
+    }
+    if (this.styleEl) {
+      this.styleEl.textContent = buildThemeStyles(this.id, this.options.styles, this.options.displayMode);
+    }
+    this.themedElements.forEach((original, element) => this.applyTheme(element));
+    if (this.resultsContainer && this.state.query) {
+      this.renderResultsView();
+    }
+  }
+
+  getState() {
+    const { state } = this;
+    return {
+      query: state.query,
+      results: [...state.results],
+      total: state.total,
+      hasMore: state.hasMore,
+      selectedFacets: JSON.parse(JSON.stringify(state.selectedFacets)),
+      sort: state.sort,
+      page: state.page,
+      loading: state.loading,
+      options: { ...this.options, styles: { ...this.options.styles } },
+    };
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+
+    this.cleanups.forEach(cleanup => cleanup());
+    this.cleanups = [];
+    this.middleware = [];
+    if (this.analytics) {
+      this.analytics.destroy();
+      this.analytics = null;
+    }
+    this.timers.forEach(timerId => clearTimeout(timerId));
+    this.timers.clear();
+    if (this.combinedResultsDiv) cleanupResults(this.combinedResultsDiv);
+    // Rendered cards, facet chips, sort and pagination go, with their listeners
+    if (this.resultsContainer) {
+      this.resultsContainer.replaceChildren(...this.resultsContainerNodes);
+    }
+    if (this.searchController) {
+      this.searchController.abort();
+    }
+    if (this.preloadController) {
+      this.preloadController.abort();
+    }
+    this.cancelSuggestions();
+
+    if (this.overlayHandle) {
+      this.overlayHandle.close();
+      this.overlayHandle = null;
+    }
+    this.removePreloadIndicator();
+    if (this.spinner) this.spinner.remove();
+    this.hiddenTemplates.forEach((display, source) => {
+      source.style.display = display;
+    });
+    this.hiddenTemplates.clear();
+    if (this.styleEl) this.styleEl.remove();
+    this.themedElements.forEach((original, element) => {
+      if (!original.hadClass) element.classList.remove('ufs-theme');
+      element.removeAttribute('data-ufs-instance');
+      if (original.theme === null) element.removeAttribute('data-theme');
+      else element.setAttribute('data-theme', original.theme);
+      if (original.dir === null) element.removeAttribute('dir');
+      else element.setAttribute('dir', original.dir);
+    });
+    this.themedElements.clear();
+    if (this.suggestionBox) {
+      if (this.ownsSuggestionBox) {
+        this.suggestionBox.remove();
+      } else {
+        this.hideSuggestions();
       }
+    }
+    if (this.input) {
+      ['role', 'aria-autocomplete', 'aria-expanded', 'aria-controls', 'aria-activedescendant']
+        .forEach(name => this.input.removeAttribute(name));
+    }
+
+    UltraFastSearch.instances.delete(this);
+    if (UltraFastSearch.instances.size === 0) {
+      document.head.querySelector('style[data-ufs-base]')?.remove();
+    }
+  }
+}
+
+UltraFastSearch.instances = new Set();
+UltraFastSearch.instanceCount = 0;
+UltraFastSearch.middleware = [];
+
+// Add middleware for every widget on the page, including ones already running
+UltraFastSearch.use = function (middleware) {
+  UltraFastSearch.middleware.push(middleware);
+  return () => {
+    UltraFastSearch.middleware = UltraFastSearch.middleware.filter(mw => mw !== middleware);
+  };
+};
+
+// Start one widget per [data-ufs-root] element, or a single page-wide widget when
+// the page only has #search-config. Set data-auto-init="false" on the config element
+// to create instances from your own code instead.
+function autoInitUltraFastSearch() {
+  const roots = document.querySelectorAll('[data-ufs-root]');
+  if (roots.length > 0) {
+    roots.forEach(root => {
+      const configEl = root.querySelector('[data-search-config], #search-config');
+      if (configEl && configEl.getAttribute('data-auto-init') === 'false') return;
+      new UltraFastSearch(root);
     });
+    return;
   }
 
-  // Handle URL-based searches immediately on page load
-  const urlParams = new URLSearchParams(window.location.search);
-  const urlQuery = urlParams.get('q');
-  
-  if (urlQuery && urlQuery.trim()) {
-    console.log('🚀 Results page detected, starting search immediately for:', urlQuery);
-    setTimeout(() => {
-      performSearchFast();
-    }, 100);
+  const searchConfigDiv = document.querySelector('#search-config');
+  if (!searchConfigDiv) {
+    console.error("'search-config' div not found.");
+    return;
   }
-});
+  if (searchConfigDiv.getAttribute('data-auto-init') === 'false') return;
+  new UltraFastSearch(document);
+}
+
+window.UltraFastSearch = UltraFastSearch;
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = { UltraFastSearch, registerSearchBackend, invalidateSearchCache };
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener("DOMContentLoaded", autoInitUltraFastSearch);
+} else {
+  autoInitUltraFastSearch();
+}